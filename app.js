@@ -8,10 +8,16 @@ const cookieParser = require('cookie-parser');
 const logger = require('morgan');
 const compression = require('compression');
 const helmet = require('helmet');
+const session = require('express-session');
+const MongoStore = require('connect-mongo');
 
 const indexRouter = require('./routes/index');
 const usersRouter = require('./routes/users');
 const catalogRouter = require('./routes/catalog');
+const apiRouter = require('./routes/api');
+const opdsRouter = require('./routes/opds');
+const { loadCurrentUser } = require('./middleware/auth');
+const { sessionSecret, trashRetentionDays } = require('./config');
 
 const app = express();
 
@@ -26,6 +32,12 @@ db.on('error', console.error.bind(console, 'MongoDB connection error:'));
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'jade');
 
+// Defaults for views rendered before the current user is known
+app.locals.hasRole = () => false;
+
+// Delete pages say how long deleted records can be restored
+app.locals.trashRetentionDays = trashRetentionDays;
+
 app.use(logger('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
@@ -34,9 +46,36 @@ app.use(compression());
 app.use(helmet());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Server-side sessions, stored alongside the rest of our data in MongoDB.
+// Without a secret every request would fail, so don't start at all.
+if (!sessionSecret) {
+  throw new Error(
+    'SessionSecret is not set. Set it in the environment or .env to a long random string.'
+  );
+}
+
+if (app.get('env') === 'production') app.set('trust proxy', 1);
+app.use(
+  session({
+    secret: sessionSecret,
+    resave: false,
+    saveUninitialized: false,
+    store: MongoStore.create({ mongoUrl: dbUri }),
+    cookie: {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: app.get('env') === 'production',
+      maxAge: 1000 * 60 * 60 * 24 * 7, // One week
+    },
+  })
+);
+app.use(loadCurrentUser);
+
 app.use('/', indexRouter);
 app.use('/users', usersRouter);
 app.use('/catalog', catalogRouter);
+app.use('/api/v1', apiRouter);
+app.use('/opds', opdsRouter);
 
 // Catch 404 and forward to error handler
 app.use(function (req, res, next) {
@@ -48,10 +87,11 @@ app.use(function (err, req, res, next) {
   // set locals, only providing error in development
   res.locals.message = err.message;
   res.locals.error = req.app.get('env') === 'development' ? err : {};
+  res.locals.status = err.status || 500;
 
   // Render the error page
-  res.status(err.status || 500);
-  res.render('error');
+  res.status(res.locals.status);
+  res.render(res.locals.status === 403 ? 'forbidden' : 'error');
 });
 
 module.exports = app;
@@ -0,0 +1,108 @@
+// Lending and mail settings. Override any of these through the environment.
+const path = require('path');
+
+// Read a number from the environment, falling back when it isn't set
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+
+  return process.env[name] === undefined || Number.isNaN(value)
+    ? fallback
+    : value;
+};
+
+// Secret the session cookie is signed with. Set SessionSecret to a long
+// random string, and keep it the same across restarts so users stay signed
+// in. There is no default: the app won't start without it.
+module.exports.sessionSecret = process.env.SessionSecret;
+
+// Number of days a copy may be kept before it is due back
+module.exports.loanPeriodDays = envNumber('LoanPeriodDays', 21);
+
+// Number of days a patron has to pick up a copy set aside for their hold
+module.exports.holdPickupDays = envNumber('HoldPickupDays', 7);
+
+// How often expired holds are passed on to the next patron, in minutes
+module.exports.holdExpiryIntervalMinutes = envNumber(
+  'HoldExpiryIntervalMinutes',
+  60
+);
+
+// Number of days deleted catalog records stay in the trash before they are
+// purged for good
+module.exports.trashRetentionDays = envNumber('TrashRetentionDays', 30);
+
+// Overdue fines. Amounts are in the smallest unit of the currency (cents).
+module.exports.fines = {
+  currency: process.env.FineCurrency || 'USD',
+  // Charged for every day a copy is late, after the grace period
+  dailyRate: envNumber('FineDailyRate', 25),
+  // Days after due_back before fines start to accrue
+  graceDays: envNumber('FineGraceDays', 2),
+  // Most a single loan can be charged
+  maximum: envNumber('FineMaximum', 1000),
+  // Patrons owing this much or more can't check out more copies
+  blockThreshold: envNumber('FineBlockThreshold', 1000),
+};
+
+// Notices sent to patrons through the mail outbox
+module.exports.mail = {
+  // One of 'smtp', 'file' or 'memory'
+  transport:
+    process.env.MailTransport ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'file'),
+  from: process.env.MailFrom || 'LocalLibrary <library@localhost>',
+  // Used to build links back to the catalog in notices
+  baseUrl: process.env.BaseUrl || 'http://localhost:3000',
+  smtp: {
+    host: process.env.SMTPHost,
+    port: envNumber('SMTPPort', 587),
+    secure: process.env.SMTPSecure === 'true',
+    auth: process.env.SMTPUser
+      ? { user: process.env.SMTPUser, pass: process.env.SMTPPassword }
+      : undefined,
+  },
+  // Where the file transport writes messages
+  directory: process.env.MailDirectory || path.join(__dirname, 'mail-outbox'),
+  // Deliveries are retried with a growing delay until this many attempts
+  maxAttempts: envNumber('MailMaxAttempts', 5),
+  // How often notices are queued and the outbox is processed, in minutes
+  intervalMinutes: envNumber('NoticeIntervalMinutes', 15),
+  // Patrons are reminded this many days before a copy is due back
+  dueSoonDays: envNumber('DueSoonDays', 2),
+};
+
+// MARC record exchange. The mapping table says which MARC fields and
+// subfields each book field is read from, in order of preference, and the
+// first one is written on export. Point MarcMappingFile at a JSON file laid
+// out like marc-mapping.json to use a different table.
+module.exports.marc = {
+  mapping: require(process.env.MarcMappingFile
+    ? path.resolve(process.env.MarcMappingFile)
+    : './marc-mapping.json'),
+};
+
+// Book cover images, stored through one of the backends in storage/
+module.exports.covers = {
+  // One of 'local' or 'memory'
+  storage: process.env.CoverStorage || 'local',
+  // Where the local backend keeps the files
+  directory:
+    process.env.CoverDirectory || path.join(__dirname, 'uploads', 'covers'),
+  // Largest upload accepted, in bytes
+  maxFileSize: envNumber('CoverMaxFileSize', 5 * 1024 * 1024),
+  // Covers are scaled down to fit this size, in pixels
+  maxWidth: envNumber('CoverMaxWidth', 600),
+  maxHeight: envNumber('CoverMaxHeight', 900),
+  // Width of the thumbnails shown in lists, in pixels
+  thumbnailWidth: envNumber('CoverThumbnailWidth', 80),
+};
+
+// Uploaded import files, kept through one of the backends in storage/ from
+// the preview until the import is confirmed
+module.exports.imports = {
+  // One of 'local' or 'memory'
+  storage: process.env.ImportStorage || 'local',
+  // Where the local backend keeps the files
+  directory:
+    process.env.ImportDirectory || path.join(__dirname, 'uploads', 'imports'),
+};
@@ -0,0 +1,146 @@
+const async = require('async');
+const Transaction = require('../models/transaction');
+const Loan = require('../models/loan');
+const User = require('../models/user');
+const { fines } = require('../config');
+const { body, validationResult } = require('express-validator');
+
+// Get everything shown on a patron's account page
+const getAccount = (id, callback) => {
+  async.parallel(
+    {
+      patron(callback) {
+        User.findById(id).exec(callback);
+      },
+      balance(callback) {
+        Transaction.balanceFor(id, callback);
+      },
+      transactions(callback) {
+        Transaction.find({ patron: id })
+          .sort({ date: -1 })
+          .populate({ path: 'loan', populate: 'book' })
+          .exec(callback);
+      },
+      overdue_loans(callback) {
+        Loan.find({ patron: id, returned: null, due_back: { $lt: new Date() } })
+          .sort({ due_back: 1 })
+          .populate('book')
+          .exec(callback);
+      },
+    },
+    callback
+  );
+};
+
+// Render a patron's account page
+const renderAccount = (res, results, errors) => {
+  const { patron, balance, transactions, overdue_loans } = results;
+
+  res.render('account_detail', {
+    title: 'Account',
+    patron,
+    balance: Transaction.formatAmount(balance),
+    is_blocked: balance >= fines.blockThreshold,
+    block_threshold: Transaction.formatAmount(fines.blockThreshold),
+    transactions,
+    overdue_loans: overdue_loans.map((loan) => ({
+      loan,
+      accrued: Transaction.formatAmount(loan.calculateFine()),
+    })),
+    errors,
+  });
+};
+
+// Display a patron's account balance and transactions.
+exports.account_detail = (req, res, next) => {
+  const { id } = req.params;
+
+  // Patrons can see their own account, staff can see everybody's
+  if (req.user._id.toString() !== id && !req.user.hasRole('librarian')) {
+    const err = new Error('You can only view your own account!');
+    err.status = 403;
+    return next(err);
+  }
+
+  getAccount(id, (err, results) => {
+    if (err) return next(err);
+
+    // No results
+    if (results.patron === null) {
+      const err = new Error('User not found!');
+      err.status = 404;
+      return next(err);
+    }
+
+    // Successful, so render
+    renderAccount(res, results);
+  });
+};
+
+// Build the handlers that credit a patron's account with a payment or waiver
+const recordCredit = (type) => [
+  // Validate and sanitize fields
+  body('amount', 'Amount must be a positive number.')
+    .trim()
+    .isFloat({ gt: 0 })
+    .toFloat(),
+  body('note')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters long.')
+    .custom((value) => type !== 'Waiver' || value.length > 0)
+    .withMessage('A reason must be given for a waiver.')
+    .escape(),
+
+  // Process request after validation and sanitization
+  (req, res, next) => {
+    // Extract the validation errors from a request
+    const errors = validationResult(req);
+    const { id } = req.params;
+    const { note } = req.body;
+    const amount = Math.round(req.body.amount * 100);
+
+    getAccount(id, (err, results) => {
+      if (err) return next(err);
+
+      if (results.patron === null) {
+        const err = new Error('User not found!');
+        err.status = 404;
+        return next(err);
+      }
+
+      // There are errors. Render the account again with error messages
+      if (!errors.isEmpty()) {
+        return renderAccount(res, results, errors.array());
+      }
+
+      // Don't let the account go into credit
+      if (amount > results.balance) {
+        const error = new Error();
+        error.msg = "The amount can't be more than the balance owed.";
+        return renderAccount(res, results, [error]);
+      }
+
+      const transaction = new Transaction({
+        patron: results.patron._id,
+        type,
+        amount: -amount,
+        note,
+        recorded_by: req.user._id,
+      });
+
+      transaction.save((err) => {
+        if (err) return next(err);
+
+        // Successful: redirect to the account page
+        res.redirect(`${results.patron.url}/account`);
+      });
+    });
+  },
+];
+
+// Handle recording a payment on POST.
+exports.account_payment_post = recordCredit('Payment');
+
+// Handle waiving part of a balance on POST.
+exports.account_waiver_post = recordCredit('Waiver');
@@ -0,0 +1,145 @@
+const async = require('async');
+const createError = require('http-errors');
+const Author = require('../../models/author');
+const Book = require('../../models/book');
+const author_controller = require('../authorController');
+const AuditEntry = require('../../models/auditEntry');
+const {
+  serialize,
+  sendValidationErrors,
+  updateAndAudit,
+} = require('./helpers');
+const { parseListQuery, paginationMeta } = require('../../lib/pagination');
+
+// List authors, a page at a time.
+exports.author_list = (req, res, next) => {
+  const listQuery = parseListQuery(
+    req.query,
+    author_controller.AUTHOR_SORT_FIELDS
+  );
+
+  async.parallel(
+    {
+      authors(callback) {
+        Author.find()
+          .sort(listQuery.sort)
+          .skip(listQuery.skip)
+          .limit(listQuery.limit)
+          .exec(callback);
+      },
+      total(callback) {
+        Author.countDocuments({}, callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      res.json({
+        data: results.authors.map(serialize),
+        meta: paginationMeta(listQuery, results.total),
+      });
+    }
+  );
+};
+
+// Get a specific author.
+exports.author_detail = (req, res, next) => {
+  Author.findById(req.params.id).exec((err, author) => {
+    if (err) return next(err);
+
+    if (author === null) return next(createError(404, 'Author not found'));
+
+    res.json({ data: serialize(author) });
+  });
+};
+
+// Create an author.
+exports.author_create = [
+  ...author_controller.author_create_validators,
+
+  (req, res, next) => {
+    if (sendValidationErrors(req, res)) return;
+
+    const { first_name, family_name, date_of_birth, date_of_death } = req.body;
+    const author = new Author({
+      first_name,
+      family_name,
+      date_of_birth,
+      date_of_death,
+    });
+
+    author.save((err) => {
+      if (err) return next(err);
+
+      AuditEntry.record(req.user, 'Create', null, author, (err) => {
+        if (err) return next(err);
+
+        res.status(201).location(`${req.baseUrl}/authors/${author._id}`);
+        res.json({ data: serialize(author) });
+      });
+    });
+  },
+];
+
+// Replace an author.
+exports.author_update = [
+  ...author_controller.author_update_validators,
+
+  (req, res, next) => {
+    if (sendValidationErrors(req, res)) return;
+
+    const { first_name, family_name, date_of_birth, date_of_death } = req.body;
+
+    updateAndAudit(
+      req,
+      Author,
+      req.params.id,
+      { first_name, family_name, date_of_birth, date_of_death },
+      (err, author) => {
+        if (err) return next(err);
+
+        if (author === null) return next(createError(404, 'Author not found'));
+
+        res.json({ data: serialize(author) });
+      }
+    );
+  },
+];
+
+// Delete an author. Like the HTML form, authors with books can't be deleted.
+exports.author_delete = (req, res, next) => {
+  const { id } = req.params;
+
+  async.parallel(
+    {
+      author(callback) {
+        Author.findById(id).exec(callback);
+      },
+      book_count(callback) {
+        Book.countDocuments({ 'contributors.author': id }, callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      if (results.author === null) {
+        return next(createError(404, 'Author not found'));
+      }
+
+      if (results.book_count > 0) {
+        return next(
+          createError(
+            409,
+            'Remove this author from the books it contributed to before deleting it'
+          )
+        );
+      }
+
+      Author.trash(id, req.user, (err) => {
+        if (err) return next(err);
+
+        res.status(204).end();
+      });
+    }
+  );
+};
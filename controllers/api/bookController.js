@@ -0,0 +1,218 @@
+const async = require('async');
+const createError = require('http-errors');
+const Book = require('../../models/book');
+const Author = require('../../models/author');
+const Genre = require('../../models/genre');
+const Series = require('../../models/series');
+const book_controller = require('../bookController');
+const AuditEntry = require('../../models/auditEntry');
+const {
+  serialize,
+  expandPaths,
+  sendValidationErrors,
+  sendFieldError,
+  updateAndAudit,
+} = require('./helpers');
+const { parseListQuery, paginationMeta } = require('../../lib/pagination');
+const isbn = require('../../lib/isbn');
+const catalogDelete = require('../../lib/catalogDelete');
+
+// Saving a book failed on the unique ISBN index
+const DUPLICATE_ISBN = 'ISBN is already used by another book';
+
+const EXPANDABLE = ['contributors.author', 'genre', 'series'];
+
+// Make sure the contributors, genres and series a book points at exist
+const checkReferences = (contributors, genre, series, callback) => {
+  const authors = new Set(
+    contributors.map((contributor) => contributor.author)
+  );
+
+  async.parallel(
+    {
+      author_count(callback) {
+        Author.countDocuments({ _id: { $in: [...authors] } }, callback);
+      },
+      genre_count(callback) {
+        Genre.countDocuments({ _id: { $in: genre } }, callback);
+      },
+      series_count(callback) {
+        if (!series) return callback(null, 0);
+
+        Series.countDocuments({ _id: series }, callback);
+      },
+    },
+    (err, results) => {
+      if (err) return callback(err);
+
+      if (results.author_count !== authors.size) {
+        return callback(null, 'contributors');
+      }
+      if (results.genre_count !== new Set(genre).size) {
+        return callback(null, 'genre');
+      }
+      if (series && results.series_count !== 1) {
+        return callback(null, 'series');
+      }
+
+      callback(null, null);
+    }
+  );
+};
+
+// List books, a page at a time. ?isbn= finds a book by ISBN-10 or ISBN-13.
+exports.book_list = (req, res, next) => {
+  const listQuery = parseListQuery(req.query, book_controller.BOOK_SORT_FIELDS);
+  const filter =
+    req.query.isbn === undefined ? {} : { isbn: isbn.toIsbn13(req.query.isbn) };
+
+  async.parallel(
+    {
+      books(callback) {
+        Book.find(filter)
+          .sort(listQuery.sort)
+          .skip(listQuery.skip)
+          .limit(listQuery.limit)
+          .populate(expandPaths(req, EXPANDABLE))
+          .exec(callback);
+      },
+      total(callback) {
+        Book.countDocuments(filter, callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      res.json({
+        data: results.books.map(serialize),
+        meta: paginationMeta(listQuery, results.total),
+      });
+    }
+  );
+};
+
+// Get a specific book.
+exports.book_detail = (req, res, next) => {
+  Book.findById(req.params.id)
+    .populate(expandPaths(req, EXPANDABLE))
+    .exec((err, book) => {
+      if (err) return next(err);
+
+      if (book === null) return next(createError(404, 'Book not found'));
+
+      res.json({ data: serialize(book) });
+    });
+};
+
+// Create a book.
+exports.book_create = [
+  ...book_controller.book_create_validators,
+
+  (req, res, next) => {
+    if (sendValidationErrors(req, res)) return;
+
+    const { title, contributors, summary, isbn, genre, series, volume } =
+      req.body;
+
+    checkReferences(contributors, genre, series, (err, missing) => {
+      if (err) return next(err);
+
+      if (missing) return sendFieldError(res, missing, `Unknown ${missing}`);
+
+      const book = new Book({
+        title,
+        contributors,
+        summary,
+        isbn,
+        genre,
+        series: series || null,
+        volume: series ? volume : null,
+      });
+
+      book.save((err) => {
+        if (Book.isDuplicateIsbn(err)) {
+          return sendFieldError(res, 'isbn', DUPLICATE_ISBN);
+        }
+
+        if (err) return next(err);
+
+        AuditEntry.record(req.user, 'Create', null, book, (err) => {
+          if (err) return next(err);
+
+          res.status(201).location(`${req.baseUrl}/books/${book._id}`);
+          res.json({ data: serialize(book) });
+        });
+      });
+    });
+  },
+];
+
+// Replace a book.
+exports.book_update = [
+  ...book_controller.book_update_validators,
+
+  (req, res, next) => {
+    if (sendValidationErrors(req, res)) return;
+
+    const { id } = req.params;
+    const { title, contributors, summary, isbn, genre, series, volume } =
+      req.body;
+
+    checkReferences(contributors, genre, series, (err, missing) => {
+      if (err) return next(err);
+
+      if (missing) return sendFieldError(res, missing, `Unknown ${missing}`);
+
+      updateAndAudit(
+        req,
+        Book,
+        id,
+        {
+          title,
+          contributors,
+          summary,
+          isbn,
+          genre,
+          series: series || null,
+          volume: series ? volume : null,
+        },
+        (err, book) => {
+          if (Book.isDuplicateIsbn(err)) {
+            return sendFieldError(res, 'isbn', DUPLICATE_ISBN);
+          }
+
+          if (err) return next(err);
+
+          if (book === null) return next(createError(404, 'Book not found'));
+
+          res.json({ data: serialize(book) });
+        }
+      );
+    });
+  },
+];
+
+// Delete a book. Like the HTML form, books with copies can't be deleted.
+// It goes through the same delete as the form, so its editions go to the
+// trash with it and the holds waiting for it are cancelled.
+exports.book_delete = (req, res, next) => {
+  catalogDelete.deleteBook(
+    req.params.id,
+    null,
+    { actor: req.user },
+    (err, result) => {
+      if (err) return next(err);
+
+      if (result === null) return next(createError(404, 'Book not found'));
+
+      // Only a book without copies can be deleted without a strategy
+      if (result.error) {
+        return next(
+          createError(409, 'Delete the copies of this book before deleting it')
+        );
+      }
+
+      res.status(204).end();
+    }
+  );
+};
@@ -0,0 +1,184 @@
+const async = require('async');
+const createError = require('http-errors');
+const BookInstance = require('../../models/bookInstance');
+const Hold = require('../../models/hold');
+const AuditEntry = require('../../models/auditEntry');
+const book_instance_controller = require('../bookInstanceController');
+const { serialize, expandPaths, sendValidationErrors } = require('./helpers');
+const { parseListQuery, paginationMeta } = require('../../lib/pagination');
+const catalogDelete = require('../../lib/catalogDelete');
+
+const EXPANDABLE = ['book', 'edition'];
+
+// List copies, a page at a time.
+exports.bookinstance_list = (req, res, next) => {
+  const listQuery = parseListQuery(
+    req.query,
+    book_instance_controller.BOOKINSTANCE_SORT_FIELDS
+  );
+
+  async.parallel(
+    {
+      bookInstances(callback) {
+        BookInstance.find()
+          .sort(listQuery.sort)
+          .skip(listQuery.skip)
+          .limit(listQuery.limit)
+          .populate(expandPaths(req, EXPANDABLE))
+          .exec(callback);
+      },
+      total(callback) {
+        BookInstance.countDocuments({}, callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      res.json({
+        data: results.bookInstances.map(serialize),
+        meta: paginationMeta(listQuery, results.total),
+      });
+    }
+  );
+};
+
+// Get a specific copy.
+exports.bookinstance_detail = (req, res, next) => {
+  BookInstance.findById(req.params.id)
+    .populate(expandPaths(req, EXPANDABLE))
+    .exec((err, bookInstance) => {
+      if (err) return next(err);
+
+      if (bookInstance === null) {
+        return next(createError(404, 'Book copy not found'));
+      }
+
+      res.json({ data: serialize(bookInstance) });
+    });
+};
+
+// Create a copy of an edition, of the edition's book, with the next
+// barcode. A copy put straight on the shelf fills the first hold.
+exports.bookinstance_create = [
+  ...book_instance_controller.bookinstance_create_validators,
+
+  (req, res, next) => {
+    if (sendValidationErrors(req, res)) return;
+
+    const { book, edition, status, due_back, call_number } = req.body;
+
+    const bookInstance = new BookInstance({
+      book,
+      edition,
+      status,
+      due_back,
+      call_number,
+    });
+
+    bookInstance.save((err) => {
+      if (err) return next(err);
+
+      const respond = () => {
+        res
+          .status(201)
+          .location(`${req.baseUrl}/bookinstances/${bookInstance._id}`);
+        res.json({ data: serialize(bookInstance) });
+      };
+
+      AuditEntry.record(req.user, 'Create', null, bookInstance, (err) => {
+        if (err) return next(err);
+
+        if (bookInstance.status !== 'Available') return respond();
+
+        Hold.assignCopy(bookInstance, (err, hold) => {
+          if (err) return next(err);
+
+          if (hold) bookInstance.status = 'Reserved';
+          respond();
+        });
+      });
+    });
+  },
+];
+
+// Replace a copy. The copy is of the edition's book. Status and due date
+// of a copy that is out stay as they are, since its loan or hold manages
+// them.
+exports.bookinstance_update = [
+  ...book_instance_controller.bookinstance_update_validators,
+
+  (req, res, next) => {
+    if (sendValidationErrors(req, res)) return;
+
+    const { id } = req.params;
+    const { book, edition, status, due_back, call_number } = req.body;
+
+    BookInstance.findById(id).exec((err, found_bookInstance) => {
+      if (err) return next(err);
+
+      if (found_bookInstance === null) {
+        return next(createError(404, 'Book copy not found'));
+      }
+
+      const wasOnShelf = BookInstance.SHELF_STATUSES.includes(
+        found_bookInstance.status
+      );
+      const update = wasOnShelf
+        ? { book, edition, status, due_back, call_number }
+        : { book, edition, call_number };
+
+      BookInstance.findByIdAndUpdate(
+        id,
+        update,
+        { new: true, runValidators: true },
+        (err, bookInstance) => {
+          if (err) return next(err);
+
+          AuditEntry.record(
+            req.user,
+            'Update',
+            found_bookInstance,
+            bookInstance,
+            (err) => {
+              if (err) return next(err);
+
+              // Only a copy coming back onto the shelf can fill a hold
+              if (
+                bookInstance.status !== 'Available' ||
+                found_bookInstance.status === 'Available'
+              ) {
+                return res.json({ data: serialize(bookInstance) });
+              }
+
+              Hold.assignCopy(bookInstance, (err, hold) => {
+                if (err) return next(err);
+
+                if (hold) bookInstance.status = 'Reserved';
+                res.json({ data: serialize(bookInstance) });
+              });
+            }
+          );
+        }
+      );
+    });
+  },
+];
+
+// Delete a copy that isn't out with a patron or set aside for a hold.
+exports.bookinstance_delete = (req, res, next) => {
+  catalogDelete.deleteCopy(
+    req.params.id,
+    { actor: req.user },
+    (err, result) => {
+      if (err) return next(err);
+
+      if (result === null) {
+        return next(createError(404, 'Book copy not found'));
+      }
+
+      if (result.error) return next(createError(409, result.error));
+
+      res.status(204).end();
+    }
+  );
+};
@@ -0,0 +1,158 @@
+const async = require('async');
+const createError = require('http-errors');
+const Genre = require('../../models/genre');
+const Book = require('../../models/book');
+const genre_controller = require('../genreController');
+const AuditEntry = require('../../models/auditEntry');
+const {
+  serialize,
+  sendValidationErrors,
+  updateAndAudit,
+} = require('./helpers');
+const { parseListQuery, paginationMeta } = require('../../lib/pagination');
+const catalogDelete = require('../../lib/catalogDelete');
+
+// List genres, a page at a time.
+exports.genre_list = (req, res, next) => {
+  const listQuery = parseListQuery(
+    req.query,
+    genre_controller.GENRE_SORT_FIELDS
+  );
+
+  async.parallel(
+    {
+      genres(callback) {
+        Genre.find()
+          .sort(listQuery.sort)
+          .skip(listQuery.skip)
+          .limit(listQuery.limit)
+          .exec(callback);
+      },
+      total(callback) {
+        Genre.countDocuments({}, callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      res.json({
+        data: results.genres.map(serialize),
+        meta: paginationMeta(listQuery, results.total),
+      });
+    }
+  );
+};
+
+// Get a specific genre.
+exports.genre_detail = (req, res, next) => {
+  Genre.findById(req.params.id).exec((err, genre) => {
+    if (err) return next(err);
+
+    if (genre === null) return next(createError(404, 'Genre not found'));
+
+    res.json({ data: serialize(genre) });
+  });
+};
+
+// Create a genre, under its parent if it has one. Genre names are unique.
+exports.genre_create = [
+  ...genre_controller.genre_create_validators,
+
+  (req, res, next) => {
+    if (sendValidationErrors(req, res)) return;
+
+    const { name, parent } = req.body;
+
+    Genre.findOne({ name }).exec((err, found_genre) => {
+      if (err) return next(err);
+
+      if (found_genre) {
+        res.location(`${req.baseUrl}/genres/${found_genre._id}`);
+        return next(createError(409, 'A genre with this name already exists'));
+      }
+
+      const genre = new Genre({ name, parent: parent || null });
+
+      genre.save((err) => {
+        if (err) return next(err);
+
+        AuditEntry.record(req.user, 'Create', null, genre, (err) => {
+          if (err) return next(err);
+
+          res.status(201).location(`${req.baseUrl}/genres/${genre._id}`);
+          res.json({ data: serialize(genre) });
+        });
+      });
+    });
+  },
+];
+
+// Replace a genre. Without a parent it moves to the top level.
+exports.genre_update = [
+  ...genre_controller.genre_update_validators,
+
+  (req, res, next) => {
+    if (sendValidationErrors(req, res)) return;
+
+    const { id } = req.params;
+    const { name, parent } = req.body;
+
+    Genre.findOne({ name, _id: { $ne: id } }).exec((err, found_genre) => {
+      if (err) return next(err);
+
+      if (found_genre) {
+        return next(createError(409, 'A genre with this name already exists'));
+      }
+
+      const update = { name, parent: parent || null };
+
+      updateAndAudit(req, Genre, id, update, (err, genre) => {
+        if (err) return next(err);
+
+        if (genre === null) return next(createError(404, 'Genre not found'));
+
+        res.json({ data: serialize(genre) });
+      });
+    });
+  },
+];
+
+// Delete a genre that no books are filed under. Its subgenres move up to
+// its parent.
+exports.genre_delete = (req, res, next) => {
+  const { id } = req.params;
+
+  async.parallel(
+    {
+      genre(callback) {
+        Genre.findById(id).exec(callback);
+      },
+      book_count(callback) {
+        Book.countDocuments({ genre: id }, callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      if (results.genre === null) {
+        return next(createError(404, 'Genre not found'));
+      }
+
+      if (results.book_count > 0) {
+        return next(
+          createError(
+            409,
+            'Remove this genre from its books before deleting it'
+          )
+        );
+      }
+
+      // Its subgenres move up to its parent
+      catalogDelete.deleteGenre(id, null, { actor: req.user }, (err) => {
+        if (err) return next(err);
+
+        res.status(204).end();
+      });
+    }
+  );
+};
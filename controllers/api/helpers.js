@@ -0,0 +1,67 @@
+const { validationResult } = require('express-validator');
+const AuditEntry = require('../../models/auditEntry');
+
+// Serialize a document for the API, including virtuals such as url and name
+exports.serialize = (doc) => doc.toJSON({ virtuals: true, versionKey: false });
+
+// Paths to populate, from a comma separated ?expand= query parameter.
+// References not listed are returned as ids.
+exports.expandPaths = (req, allowed) =>
+  String(req.query.expand || '')
+    .split(',')
+    .map((path) => path.trim())
+    .filter((path) => allowed.includes(path));
+
+// Send a 422 with the validation errors of a request. Returns true if there
+// were any, so handlers can stop.
+exports.sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+
+  if (errors.isEmpty()) return false;
+
+  res.status(422).json({
+    error: {
+      status: 422,
+      message: 'Validation failed',
+      details: errors.array().map(({ param, msg, location }) => ({
+        field: param,
+        message: msg,
+        location,
+      })),
+    },
+  });
+
+  return true;
+};
+
+// Send a 422 for a single field that failed a check outside the validators
+exports.sendFieldError = (res, field, message) => {
+  res.status(422).json({
+    error: {
+      status: 422,
+      message: 'Validation failed',
+      details: [{ field, message, location: 'body' }],
+    },
+  });
+};
+
+// Update a document and record the change in the audit log. Calls back with
+// the updated document, or null if there is no document with the id.
+exports.updateAndAudit = (req, Model, id, update, callback) => {
+  Model.findByIdAndUpdate(
+    id,
+    update,
+    { runValidators: true },
+    (err, before) => {
+      if (err || before === null) return callback(err, null);
+
+      Model.findById(id).exec((err, after) => {
+        if (err) return callback(err);
+
+        AuditEntry.record(req.user, 'Update', before, after, (err) =>
+          callback(err, after)
+        );
+      });
+    }
+  );
+};
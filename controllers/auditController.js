@@ -0,0 +1,171 @@
+const async = require('async');
+const { DateTime } = require('luxon');
+const AuditEntry = require('../models/auditEntry');
+const Book = require('../models/book');
+const Author = require('../models/author');
+const Genre = require('../models/genre');
+const Series = require('../models/series');
+const Edition = require('../models/edition');
+const BookInstance = require('../models/bookInstance');
+const { parseListQuery, buildPagination } = require('../lib/pagination');
+
+// Fields the audit log can be sorted by. The first one is the default.
+const AUDIT_SORT_FIELDS = {
+  date: { path: 'date', label: 'Date' },
+};
+
+// Newest changes first unless another direction is asked for
+const parseAuditQuery = (query) =>
+  parseListQuery({ dir: 'desc', ...query }, AUDIT_SORT_FIELDS);
+
+// Read the filters of the audit log from the query string: entity_type,
+// action, user (the name the change was made under) and a from/to range of
+// dates (YYYY-MM-DD), both days included. Unknown values are ignored.
+const parseAuditFilters = (query) => {
+  const day = (value) => {
+    const date = DateTime.fromISO(String(value || ''));
+
+    return date.isValid ? date : null;
+  };
+
+  return {
+    entity_type: AuditEntry.ENTITY_TYPES.includes(query.entity_type)
+      ? query.entity_type
+      : '',
+    action: AuditEntry.ACTIONS.includes(query.action) ? query.action : '',
+    user: typeof query.user === 'string' ? query.user.trim() : '',
+    from: day(query.from),
+    to: day(query.to),
+  };
+};
+
+// The MongoDB filter for the audit log filters
+const auditFilter = (filters) => {
+  const filter = {};
+
+  if (filters.entity_type) filter.entity_type = filters.entity_type;
+  if (filters.action) filter.action = filters.action;
+  if (filters.user) filter.actor_name = filters.user;
+  if (filters.from || filters.to) {
+    filter.date = {};
+    if (filters.from) filter.date.$gte = filters.from.startOf('day').toJSDate();
+    if (filters.to) filter.date.$lte = filters.to.endOf('day').toJSDate();
+  }
+
+  return filter;
+};
+
+// Display the audit log of catalog changes, filtered and paginated.
+exports.audit_list = (req, res, next) => {
+  const listQuery = parseAuditQuery(req.query);
+  const filters = parseAuditFilters(req.query);
+  const filter = auditFilter(filters);
+
+  async.parallel(
+    {
+      audit_list(callback) {
+        AuditEntry.find(filter)
+          .sort(listQuery.sort)
+          .skip(listQuery.skip)
+          .limit(listQuery.limit)
+          .exec(callback);
+      },
+      total(callback) {
+        AuditEntry.countDocuments(filter, callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      // Successful, so render
+      res.render('audit_list', {
+        title: 'Audit Log',
+        audit_list: results.audit_list,
+        entity_types: AuditEntry.ENTITY_TYPES,
+        actions: AuditEntry.ACTIONS,
+        filters: {
+          ...filters,
+          from: filters.from ? filters.from.toISODate() : '',
+          to: filters.to ? filters.to.toISODate() : '',
+        },
+        pagination: buildPagination(
+          req,
+          listQuery,
+          results.total,
+          AUDIT_SORT_FIELDS
+        ),
+      });
+    }
+  );
+};
+
+// A handler that displays the changes made to one record of the model, e.g.
+// for /catalog/book/:id/history. name is what the record is called on the
+// page.
+const entityHistory = (Model, name) => (req, res, next) => {
+  const listQuery = parseAuditQuery(req.query);
+  const filter = { entity_type: Model.modelName, entity: req.params.id };
+
+  async.parallel(
+    {
+      entity(callback) {
+        Model.findById(req.params.id).exec(callback);
+      },
+      audit_list(callback) {
+        AuditEntry.find(filter)
+          .sort(listQuery.sort)
+          .skip(listQuery.skip)
+          .limit(listQuery.limit)
+          .exec(callback);
+      },
+      total(callback) {
+        AuditEntry.countDocuments(filter, callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      if (results.entity === null) {
+        // No results
+        const err = new Error(`${name} not found`);
+        err.status = 404;
+        return next(err);
+      }
+
+      const { entity } = results;
+
+      // Successful, so render
+      res.render('audit_history', {
+        title: `${name} History: ${
+          entity.title || entity.name || entity.imprint || entity._id
+        }`,
+        entity,
+        audit_list: results.audit_list,
+        pagination: buildPagination(
+          req,
+          listQuery,
+          results.total,
+          AUDIT_SORT_FIELDS
+        ),
+      });
+    }
+  );
+};
+
+// Display the change history of a specific Book.
+exports.book_history = entityHistory(Book, 'Book');
+
+// Display the change history of a specific Author.
+exports.author_history = entityHistory(Author, 'Author');
+
+// Display the change history of a specific Genre.
+exports.genre_history = entityHistory(Genre, 'Genre');
+
+// Display the change history of a specific Series.
+exports.series_history = entityHistory(Series, 'Series');
+
+// Display the change history of a specific Edition.
+exports.edition_history = entityHistory(Edition, 'Edition');
+
+// Display the change history of a specific BookInstance.
+exports.bookinstance_history = entityHistory(BookInstance, 'Book copy');
@@ -1,21 +1,56 @@
 const Author = require('../models/author');
 const async = require('async');
 const Book = require('../models/book');
+const AuditEntry = require('../models/auditEntry');
 const { body, validationResult } = require('express-validator');
+const { isMongoId } = require('validator');
+const { parseListQuery, buildPagination } = require('../lib/pagination');
+const catalogDelete = require('../lib/catalogDelete');
+const authorMerge = require('../lib/authorMerge');
+const exportLinks = require('../lib/exportLinks');
+
+// Fields the author list can be sorted by. The first one is the default.
+const AUTHOR_SORT_FIELDS = {
+  family_name: { path: 'family_name', label: 'Family name' },
+  first_name: { path: 'first_name', label: 'First name' },
+  date_of_birth: { path: 'date_of_birth', label: 'Date of birth' },
+};
+exports.AUTHOR_SORT_FIELDS = AUTHOR_SORT_FIELDS;
 
 // Display list of all Authors
 exports.author_list = (req, res, next) => {
-  Author.find()
-    .sort([['family_name', 'ascending']])
-    .exec(function (err, list_authors) {
+  const listQuery = parseListQuery(req.query, AUTHOR_SORT_FIELDS);
+
+  async.parallel(
+    {
+      list_authors(callback) {
+        Author.find()
+          .sort(listQuery.sort)
+          .skip(listQuery.skip)
+          .limit(listQuery.limit)
+          .exec(callback);
+      },
+      total(callback) {
+        Author.countDocuments({}, callback);
+      },
+    },
+    (err, results) => {
       if (err) return next(err);
 
       // Successful, so render
       res.render('author_list', {
         title: 'Author List',
-        author_list: list_authors,
+        author_list: results.list_authors,
+        export_links: exportLinks(req, 'authors'),
+        pagination: buildPagination(
+          req,
+          listQuery,
+          results.total,
+          AUTHOR_SORT_FIELDS
+        ),
       });
-    });
+    }
+  );
 };
 
 // Display detail page for a specific author
@@ -26,7 +61,10 @@ exports.author_detail = (req, res, next) => {
         Author.findById(req.params.id).exec(callback);
       },
       author_books(callback) {
-        Book.find({ author: req.params.id }, 'title summary').exec(callback);
+        Book.find(
+          { 'contributors.author': req.params.id },
+          'title summary contributors'
+        ).exec(callback);
       },
     },
     (err, results) => {
@@ -34,9 +72,20 @@ exports.author_detail = (req, res, next) => {
 
       // No results
       if (results.author === null) {
-        const err = new Error('Author not found');
-        err.status = 404;
-        return next(err);
+        // The author may have been merged into another
+        return Author.findOne({ merged_ids: req.params.id }).exec(
+          (err, merged_into) => {
+            if (err) return next(err);
+
+            if (merged_into === null) {
+              const err = new Error('Author not found');
+              err.status = 404;
+              return next(err);
+            }
+
+            res.redirect(301, merged_into.url);
+          }
+        );
       }
 
       // Successful, so render
@@ -49,6 +98,89 @@ exports.author_detail = (req, res, next) => {
   );
 };
 
+// Display the report of authors that are likely duplicates.
+exports.author_duplicates = (req, res, next) => {
+  authorMerge.findDuplicates((err, pairs) => {
+    if (err) return next(err);
+
+    // Successful, so render
+    res.render('author_duplicates', {
+      title: 'Duplicate Authors',
+      pairs,
+    });
+  });
+};
+
+// Display the merge of an author into another (?into=) on GET: the books
+// that move and the dates the surviving author ends up with.
+exports.author_merge_get = (req, res, next) => {
+  const { id } = req.params;
+  const into = String(req.query.into || '');
+
+  if (!isMongoId(into)) {
+    const err = new Error('Choose the author to merge into');
+    err.status = 400;
+    return next(err);
+  }
+
+  authorMerge.previewMerge(id, into, (err, plan) => {
+    if (err) return next(err);
+
+    if (plan === null || plan.source._id.equals(plan.target._id)) {
+      // No results
+      const err = new Error('Authors to merge not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    // Successful, so render
+    res.render('author_merge', {
+      title: 'Merge Authors',
+      ...plan,
+    });
+  });
+};
+
+// Handle merging an author into another on POST, in one transaction.
+exports.author_merge_post = [
+  body('into', 'Choose the author to merge into').trim().isMongoId(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+      const err = new Error(errors.array()[0].msg);
+      err.status = 400;
+      return next(err);
+    }
+
+    authorMerge.mergeAuthors(
+      req.params.id,
+      req.body.into,
+      req.user,
+      (err, result) => {
+        if (err) return next(err);
+
+        if (result === null) {
+          // No results
+          const err = new Error('Authors to merge not found');
+          err.status = 404;
+          return next(err);
+        }
+
+        if (result.error) {
+          const err = new Error(result.error);
+          err.status = 400;
+          return next(err);
+        }
+
+        // Successful: redirect to the surviving author
+        res.redirect(result.target.url);
+      }
+    );
+  },
+];
+
 // Display Author create form on GET.
 exports.author_create_get = (req, res) => {
   res.render('author_form', {
@@ -56,8 +188,8 @@ exports.author_create_get = (req, res) => {
   });
 };
 
-// Handle Author create on POST.
-exports.author_create_post = [
+// Validators for Author create. Shared with the JSON API.
+exports.author_create_validators = [
   // Validate and sanitize fields
   body('first_name')
     .trim()
@@ -79,6 +211,12 @@ exports.author_create_post = [
     .optional({ checkFalsy: true })
     .isISO8601()
     .toDate(),
+];
+
+// Handle Author create on POST.
+exports.author_create_post = [
+  ...exports.author_create_validators,
+
   // Process request after validation and sanitization
   (req, res, next) => {
     // Extract the validation errors from a request
@@ -107,85 +245,83 @@ exports.author_create_post = [
     author.save((err) => {
       if (err) return next(err);
 
-      // Successful - redirect to new author record
-      res.redirect(author.url);
+      AuditEntry.record(req.user, 'Create', null, author, (err) => {
+        if (err) return next(err);
+
+        // Successful - redirect to new author record
+        res.redirect(author.url);
+      });
     });
   },
 ];
 
-// Display Author delete form on GET.
-exports.author_delete_get = (req, res, next) => {
-  const { id } = req.params;
-
-  async.parallel(
-    {
-      author(callback) {
-        Author.findById(id).exec(callback);
-      },
-      author_books(callback) {
-        Book.find({ author: id }).exec(callback);
-      },
-    },
-    (err, results) => {
-      const { author, author_books } = results;
-
-      if (err) return next(err);
-
-      if (author === null) {
-        // No results
-        res.redirect('/catalog/authors');
-      }
+// Render the Author delete page: the author's books and what each way of
+// dealing with them would do, with the choices made so far and any errors
+const renderAuthorDelete = (res, next, id, form = {}) => {
+  catalogDelete.previewAuthorDelete(id, (err, plan) => {
+    if (err) return next(err);
 
-      // Successful, so render
-      res.render('author_delete', {
-        title: 'Delete Author',
-        author,
-        author_books,
-      });
+    if (plan === null) {
+      // No results
+      return res.redirect('/catalog/authors');
     }
-  );
-};
 
-// Handle Author delete on POST.
-exports.author_delete_post = (req, res, next) => {
-  const { author_id } = req.body;
+    // Successful, so render
+    res.render('author_delete', {
+      title: 'Delete Author',
+      author: plan.record,
+      author_books: plan.books,
+      authors: plan.authors,
+      cascade: plan.cascade,
+      strategy: form.strategy,
+      target: form.target,
+      errors: form.errors,
+    });
+  });
+};
 
-  async.parallel(
-    {
-      author(callback) {
-        Author.findById(author_id).exec(callback);
-      },
-      author_books(callback) {
-        Book.find({ author: author_id }).exec(callback);
-      },
-    },
-    (err, results) => {
-      if (err) return next(err);
+// Display Author delete form on GET.
+exports.author_delete_get = (req, res, next) => {
+  renderAuthorDelete(res, next, req.params.id);
+};
 
-      // Success
-      const { author, author_books } = results;
+// Handle Author delete on POST. An author with books is deleted with the
+// chosen strategy: another author takes its place in its books, or the books
+// only it contributed to are deleted with their copies and it is removed
+// from the others, all in one transaction.
+exports.author_delete_post = [
+  body('strategy').optional({ checkFalsy: true }).trim(),
+  body('target', 'Choose an author to reassign the books to')
+    .optional({ checkFalsy: true })
+    .isMongoId(),
 
-      if (author_books.length > 0) {
-        // Author has books. Render in same way as for GET route
-        res.render('author_delete', {
-          title: 'Delete Author',
-          author,
-          author_books,
-        });
+  (req, res, next) => {
+    const errors = validationResult(req);
+    const { author_id, strategy, target } = req.body;
+    const form = { strategy, target, errors: errors.array() };
 
-        return;
-      }
+    if (!errors.isEmpty()) {
+      return renderAuthorDelete(res, next, author_id, form);
+    }
 
-      // Author has no books. Delete object and redirect to the list of authors
-      Author.findByIdAndRemove(author_id, (err) => {
+    catalogDelete.deleteAuthor(
+      author_id,
+      strategy,
+      { target, actor: req.user },
+      (err, result) => {
         if (err) return next(err);
 
+        if (result && result.error) {
+          form.errors = [{ msg: result.error }];
+          return renderAuthorDelete(res, next, author_id, form);
+        }
+
         // Success - go to author list
         res.redirect('/catalog/authors');
-      });
-    }
-  );
-};
+      }
+    );
+  },
+];
 
 // Display Author update form on GET.
 exports.author_update_get = (req, res, next) => {
@@ -207,8 +343,8 @@ exports.author_update_get = (req, res, next) => {
   });
 };
 
-// Handle Author update on POST.
-exports.author_update_post = [
+// Validators for Author update. Shared with the JSON API.
+exports.author_update_validators = [
   // Validate and sanitize fields
   body('first_name')
     .trim()
@@ -230,6 +366,11 @@ exports.author_update_post = [
     .optional({ checkFalsy: true })
     .isISO8601()
     .toDate(),
+];
+
+// Handle Author update on POST.
+exports.author_update_post = [
+  ...exports.author_update_validators,
 
   // Process request after validation and sanitization
   (req, res, next) => {
@@ -267,8 +408,13 @@ exports.author_update_post = [
     Author.findByIdAndUpdate(id, author, (err, updatedAuthor) => {
       if (err) return next(err);
 
-      // Successful: redirect to author detail page
-      res.redirect(updatedAuthor.url);
+      // updatedAuthor is the author as it was before the update
+      AuditEntry.record(req.user, 'Update', updatedAuthor, author, (err) => {
+        if (err) return next(err);
+
+        // Successful: redirect to author detail page
+        res.redirect(updatedAuthor.url);
+      });
     });
   },
 ];
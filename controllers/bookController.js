@@ -1,10 +1,27 @@
 const Book = require('../models/book');
 const Author = require('../models/author');
 const Genre = require('../models/genre');
+const Series = require('../models/series');
+const Edition = require('../models/edition');
 const BookInstance = require('../models/bookInstance');
-const { body, validationResult } = require('express-validator');
+const Loan = require('../models/loan');
+const Hold = require('../models/hold');
+const AuditEntry = require('../models/auditEntry');
+const { body, check, validationResult } = require('express-validator');
+const multer = require('multer');
+const { parseListQuery, buildPagination } = require('../lib/pagination');
+const catalogDelete = require('../lib/catalogDelete');
+const exportLinks = require('../lib/exportLinks');
+const isbn = require('../lib/isbn');
+const { groupBySeries } = require('../lib/seriesGroups');
+const covers = require('../lib/covers');
+const { isValidKey } = require('../storage');
+const { covers: coverSettings } = require('../config');
 
 const async = require('async');
+const mongoose = require('mongoose');
+const path = require('path');
+const querystring = require('querystring');
 
 exports.index = (req, res) => {
   async.parallel(
@@ -35,17 +52,366 @@ exports.index = (req, res) => {
   );
 };
 
-// Display list of all books.
+// Fields the book list can be sorted by. The first one is the default.
+const BOOK_SORT_FIELDS = {
+  title: { path: 'title', label: 'Title' },
+  isbn: { path: 'isbn', label: 'ISBN' },
+};
+exports.BOOK_SORT_FIELDS = BOOK_SORT_FIELDS;
+
+// Read the book list filters from the query string: any number of ?genre=
+// ids, one ?author= id and ?available=1. Ids that aren't valid are ignored.
+const parseBookFilters = (query) => {
+  const toIds = (value) =>
+    [].concat(value || []).filter((id) => mongoose.isValidObjectId(id));
+
+  return {
+    genre: toIds(query.genre).map((id) => new mongoose.Types.ObjectId(id)),
+    author: toIds(query.author)
+      .slice(0, 1)
+      .map((id) => new mongoose.Types.ObjectId(id)),
+    available: query.available === '1',
+  };
+};
+
+// Match condition for the genre and author filters. A facet's counts leave
+// out its own filter (except), so picking a genre still shows what the
+// others would add.
+const bookFilter = (filters, except) => {
+  const match = {};
+
+  if (filters.genre.length && except !== 'genre') {
+    match.genre = { $in: filters.genre };
+  }
+  if (filters.author.length && except !== 'author') {
+    match['contributors.author'] = filters.author[0];
+  }
+
+  return match;
+};
+
+// Aggregation stages that keep the books with at least one copy on the
+// shelf, looked up for each book as it passes
+const AVAILABLE_STAGES = [
+  {
+    $lookup: {
+      from: BookInstance.collection.name,
+      localField: '_id',
+      foreignField: 'book',
+      pipeline: [
+        { $match: { status: 'Available', deleted: null } },
+        { $limit: 1 },
+        { $project: { _id: 1 } },
+      ],
+      as: 'available_copies',
+    },
+  },
+  { $match: { 'available_copies.0': { $exists: true } } },
+  { $unset: 'available_copies' },
+];
+
+// The availability filter as aggregation stages, only when it is set
+const availableStages = (filters, except) =>
+  filters.available && except !== 'available' ? AVAILABLE_STAGES : [];
+
+// Ids of the books with at least one copy on the shelf. Only the exports
+// need them, as they stream a plain query.
+const availableBooks = (callback) => {
+  BookInstance.aggregate([
+    { $match: { status: 'Available' } },
+    { $group: { _id: '$book' } },
+  ]).exec((err, available) => {
+    if (err) return callback(err);
+
+    callback(
+      null,
+      available.map((group) => group._id)
+    );
+  });
+};
+
+// Match condition for the book list filters in a query string. Shared with
+// the catalog exports, so they can export a filtered list.
+exports.book_list_match = (query, callback) => {
+  const filters = parseBookFilters(query);
+
+  // Only look up the available books when they're needed
+  if (!filters.available) return callback(null, bookFilter(filters));
+
+  availableBooks((err, available_books) => {
+    if (err) return callback(err);
+
+    callback(null, {
+      ...bookFilter(filters),
+      _id: { $in: available_books },
+    });
+  });
+};
+
+// Count the books under each genre and contributor and those with an available
+// copy, in a single aggregation over the books.
+const bookFacets = (filters, callback) => {
+  Book.aggregate([
+    {
+      $facet: {
+        genre: [
+          { $match: bookFilter(filters, 'genre') },
+          ...availableStages(filters, 'genre'),
+          { $unwind: '$genre' },
+          { $group: { _id: '$genre', count: { $sum: 1 } } },
+          {
+            $lookup: {
+              from: Genre.collection.name,
+              localField: '_id',
+              foreignField: '_id',
+              // Leave out genres in the trash
+              pipeline: [{ $match: { deleted: null } }],
+              as: 'genre',
+            },
+          },
+          { $unwind: '$genre' },
+          { $project: { count: 1, name: '$genre.name' } },
+          { $sort: { name: 1 } },
+        ],
+        author: [
+          { $match: bookFilter(filters, 'author') },
+          ...availableStages(filters, 'author'),
+          // A book counts once for each of its authors, whatever their roles
+          {
+            $project: {
+              author: { $setUnion: ['$contributors.author', []] },
+            },
+          },
+          { $unwind: '$author' },
+          { $group: { _id: '$author', count: { $sum: 1 } } },
+          {
+            $lookup: {
+              from: Author.collection.name,
+              localField: '_id',
+              foreignField: '_id',
+              // Leave out authors in the trash
+              pipeline: [{ $match: { deleted: null } }],
+              as: 'author',
+            },
+          },
+          { $unwind: '$author' },
+          {
+            $project: {
+              count: 1,
+              name: {
+                $concat: ['$author.family_name', ', ', '$author.first_name'],
+              },
+            },
+          },
+          { $sort: { name: 1 } },
+        ],
+        available: [
+          { $match: bookFilter(filters, 'available') },
+          ...AVAILABLE_STAGES,
+          { $count: 'count' },
+        ],
+      },
+    },
+  ]).exec((err, results) => {
+    if (err) return callback(err);
+
+    const [facets] = results;
+
+    callback(null, {
+      genre: facets.genre,
+      author: facets.author,
+      available: facets.available.length ? facets.available[0].count : 0,
+    });
+  });
+};
+
+// Turn the facet counts into links that add or remove one filter while
+// keeping the others, so a filtered list can be bookmarked and shared.
+const facetLinks = (req, filters, facets) => {
+  const urlFor = (changes) => {
+    const query = { ...req.query, ...changes };
+
+    // A changed filter starts again from the first page
+    delete query.page;
+    Object.keys(query).forEach((key) => {
+      if (query[key] === null || query[key].length === 0) delete query[key];
+    });
+
+    return `${req.baseUrl}${req.path}?${querystring.stringify(query)}`;
+  };
+
+  const selectedGenres = filters.genre.map(String);
+  const selectedAuthor = filters.author.map(String)[0];
+
+  return {
+    active: selectedGenres.length > 0 || !!selectedAuthor || filters.available,
+    clear_url: urlFor({ genre: null, author: null, available: null }),
+    genre: facets.genre.map((genre) => {
+      const id = String(genre._id);
+      const selected = selectedGenres.includes(id);
+
+      return {
+        name: genre.name,
+        count: genre.count,
+        selected,
+        url: urlFor({
+          genre: selected
+            ? selectedGenres.filter((other) => other !== id)
+            : [...selectedGenres, id],
+        }),
+      };
+    }),
+    author: facets.author.map((author) => {
+      const id = String(author._id);
+      const selected = id === selectedAuthor;
+
+      return {
+        name: author.name,
+        count: author.count,
+        selected,
+        url: urlFor({ author: selected ? null : id }),
+      };
+    }),
+    available: {
+      count: facets.available,
+      selected: filters.available,
+      url: urlFor({ available: filters.available ? null : '1' }),
+    },
+  };
+};
+
+// The link that turns grouping the book list by series on or off, keeping
+// the rest of the query string. Grouping starts again from the first page.
+const groupLink = (req, grouped) => {
+  const query = { ...req.query };
+
+  delete query.page;
+  if (grouped) delete query.group;
+  else query.group = 'series';
+
+  return {
+    active: grouped,
+    url: `${req.baseUrl}${req.path}?${querystring.stringify(query)}`,
+  };
+};
+
+// Display list of all books. With ?group=series the books of each series
+// are listed together, in volume order, and the books in no series after
+// them in the chosen order.
 exports.book_list = (req, res, next) => {
-  Book.find({}, 'title author')
-    .sort({ title: 1 })
-    .populate('author')
-    .exec((err, list_books) => {
+  const listQuery = parseListQuery(req.query, BOOK_SORT_FIELDS);
+  const filters = parseBookFilters(req.query);
+  const grouped = req.query.group === 'series';
+
+  // Books in no series sort last, so each series fits in as few pages as
+  // it can
+  const sort = grouped
+    ? { series: -1, volume: 1, ...listQuery.sort }
+    : listQuery.sort;
+
+  const match = { $match: bookFilter(filters) };
+
+  async.parallel(
+    {
+      list_books(callback) {
+        // Sorted before the availability lookup, so the sort can use an
+        // index and only the books up to the page are looked up
+        Book.aggregate([
+          match,
+          { $sort: sort },
+          ...availableStages(filters),
+          { $skip: listQuery.skip },
+          { $limit: listQuery.limit },
+          {
+            $project: {
+              title: 1,
+              contributors: 1,
+              series: 1,
+              volume: 1,
+              cover: 1,
+            },
+          },
+        ]).exec((err, books) => {
+          if (err) return callback(err);
+
+          Book.populate(
+            books.map((book) => Book.hydrate(book)),
+            ['contributors.author', 'series'],
+            callback
+          );
+        });
+      },
+      total(callback) {
+        Book.aggregate([
+          match,
+          ...availableStages(filters),
+          { $count: 'count' },
+        ]).exec((err, results) =>
+          callback(err, results && results.length ? results[0].count : 0)
+        );
+      },
+      facets(callback) {
+        bookFacets(filters, callback);
+      },
+    },
+    (err, results) => {
       if (err) return next(err);
 
       // Successful, so render
-      res.render('book_list', { title: 'Book List', book_list: list_books });
-    });
+      res.render('book_list', {
+        title: 'Book List',
+        book_list: results.list_books,
+        book_groups: grouped ? groupBySeries(results.list_books) : null,
+        group_link: groupLink(req, grouped),
+        facets: facetLinks(req, filters, results.facets),
+        export_links: exportLinks(req, 'books', ['csv', 'json', 'mrc', 'xml']),
+        pagination: buildPagination(
+          req,
+          listQuery,
+          results.total,
+          BOOK_SORT_FIELDS
+        ),
+      });
+    }
+  );
+};
+
+// Send a cover image or thumbnail from the cover storage. Keys are never
+// reused, so it can be cached for good.
+exports.cover_get = (req, res, next) => {
+  const { key } = req.params;
+
+  const notFound = () => {
+    const err = new Error('Cover not found');
+    err.status = 404;
+    next(err);
+  };
+
+  if (!isValidKey(key)) return notFound();
+
+  covers.storage.read(key, (err, data) => {
+    if (err) return next(err);
+
+    if (data === null) return notFound();
+
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.type(path.extname(key)).send(data);
+  });
+};
+
+// Redirect to the book with an ISBN, in either ISBN-10 or ISBN-13 form.
+exports.book_by_isbn = (req, res, next) => {
+  Book.findByIsbn(req.params.isbn, (err, book) => {
+    if (err) return next(err);
+
+    if (book === null) {
+      const err = new Error('Book not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    res.redirect(book.url);
+  });
 };
 
 // Display detail page for a specific book.
@@ -54,11 +420,33 @@ exports.book_detail = (req, res, next) => {
     {
       book(callback) {
         Book.findById(req.params.id)
-          .populate(['author', 'genre'])
+          .populate(['contributors.author', 'genre', 'series'])
+          .exec(callback);
+      },
+      editions(callback) {
+        Edition.find({ book: req.params.id })
+          .sort({ year: 1, _id: 1 })
           .exec(callback);
       },
       book_instance(callback) {
-        BookInstance.find({ book: req.params.id }).exec(callback);
+        BookInstance.find({ book: req.params.id })
+          .populate('edition')
+          .exec(callback);
+      },
+      loans(callback) {
+        Loan.find({ book: req.params.id })
+          .sort({ checked_out: -1 })
+          .populate('patron')
+          .exec(callback);
+      },
+      holds(callback) {
+        Hold.find({
+          book: req.params.id,
+          status: { $in: ['Waiting', 'Ready'] },
+        })
+          .sort({ placed: 1 })
+          .populate('patron')
+          .exec(callback);
       },
     },
     (err, results) => {
@@ -71,16 +459,160 @@ exports.book_detail = (req, res, next) => {
         return next(err);
       }
 
-      // Successful, so render
-      res.render('book_detail', {
-        title: results.book.title,
-        book: results.book,
-        book_instances: results.book_instance,
+      // Find the current user's place in the hold queue
+      const waiting_holds = results.holds.filter(
+        (hold) => hold.status === 'Waiting'
+      );
+      const my_hold = req.user
+        ? results.holds.find(
+            (hold) => hold.patron && hold.patron._id.equals(req.user._id)
+          )
+        : undefined;
+
+      // How many copies of each edition there are, and how many are on the
+      // shelf
+      const editions = results.editions.map((edition) => {
+        const copies = results.book_instance.filter(
+          (copy) => copy.edition && copy.edition._id.equals(edition._id)
+        );
+
+        return {
+          edition,
+          total: copies.length,
+          available: copies.filter((copy) => copy.status === 'Available')
+            .length,
+        };
+      });
+
+      // The volumes either side of it, for a book in a series
+      results.book.findAdjacentVolumes((err, volumes) => {
+        if (err) return next(err);
+
+        // Successful, so render
+        res.render('book_detail', {
+          title: results.book.title,
+          book: results.book,
+          previous_volume: volumes.previous,
+          next_volume: volumes.next,
+          editions,
+          book_instances: results.book_instance,
+          loans: results.loans,
+          holds: results.holds,
+          my_hold,
+          hold_position: my_hold ? waiting_holds.indexOf(my_hold) + 1 : 0,
+          available_count: results.book_instance.filter(
+            (val) => val.status === 'Available'
+          ).length,
+        });
+      });
+    }
+  );
+};
+
+// What the book form says about the covers it takes
+const COVER_HINTS = {
+  cover_formats: Object.values(covers.FORMATS),
+  cover_max_size:
+    Math.round((coverSettings.maxFileSize / (1024 * 1024)) * 10) / 10,
+};
+
+// Covers are read into memory, to be checked and scaled down before they
+// are stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: coverSettings.maxFileSize, files: 1 },
+}).single('cover');
+
+// Read the book form, which is sent as multipart/form-data for its cover.
+// An upload that fails, such as a file too large, is left for
+// coverValidator to report with the other errors.
+const readBookForm = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      req.cover_error =
+        err.code === 'LIMIT_FILE_SIZE'
+          ? `The cover must be no larger than ${COVER_HINTS.cover_max_size} MB.`
+          : err.message;
+      return next();
+    }
+
+    next(err);
+  });
+};
+
+// Validate the cover uploaded with the book form, if any
+const coverValidator = () =>
+  check('cover').custom((value, { req }) => {
+    if (req.cover_error) throw new Error(req.cover_error);
+
+    return req.file ? covers.checkImage(req.file.buffer) : true;
+  });
+
+// The cover to give a book from the book form: the keys of an uploaded
+// cover once it is stored, unset keys when the cover is to be removed, or
+// undefined to leave it as it is
+const formCover = (req, book_id, callback) => {
+  if (req.file) return covers.saveCover(book_id, req.file.buffer, callback);
+
+  callback(
+    null,
+    req.body.remove_cover ? { image: null, thumbnail: null } : undefined
+  );
+};
+
+// Render the book form again for a submitted book, with the errors. The
+// genres of the book are checked.
+const renderBookForm = (res, next, title, book, errors) => {
+  // Get all authors and genres for form
+  async.parallel(
+    {
+      authors(callback) {
+        Author.find(callback);
+      },
+      genres(callback) {
+        Genre.findTree(callback);
+      },
+      series(callback) {
+        Series.find().sort({ name: 1 }).exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      // Mark our selected genres as checked
+      for (const genre of results.genres) {
+        if (book.genre.includes(genre._id)) genre.checked = 'true';
+      }
+
+      res.render('book_form', {
+        title,
+        ...COVER_HINTS,
+        roles: Book.CONTRIBUTOR_ROLES,
+        authors: results.authors,
+        genres: results.genres,
+        series_list: results.series,
+        book,
+        errors,
       });
     }
   );
 };
 
+// Render the book form again when saving the book failed on the unique ISBN
+// index, which isbnValidator can miss. A cover stored for the book is
+// removed, as the book won't have it.
+const rejectDuplicateIsbn = (res, next, title, book, cover) => {
+  covers.removeCover(cover, (err) => {
+    if (err) return next(err);
+
+    book.cover = undefined;
+
+    renderBookForm(res, next, title, book, [
+      { msg: `ISBN ${book.isbn} is already used by another book.` },
+    ]);
+  });
+};
+
 // Display book create form on GET.
 exports.book_create_get = (req, res, next) => {
   // Get all authors and genres, which we can use for adding to our book
@@ -90,7 +622,10 @@ exports.book_create_get = (req, res, next) => {
         Author.find(callback);
       },
       genres(callback) {
-        Genre.find(callback);
+        Genre.findTree(callback);
+      },
+      series(callback) {
+        Series.find().sort({ name: 1 }).exec(callback);
       },
     },
     (err, results) => {
@@ -98,15 +633,115 @@ exports.book_create_get = (req, res, next) => {
 
       res.render('book_form', {
         title: 'Create Book',
+        ...COVER_HINTS,
+        roles: Book.CONTRIBUTOR_ROLES,
         authors: results.authors,
         genres: results.genres,
+        series_list: results.series,
       });
     }
   );
 };
 
-// Handle book create on POST.
-exports.book_create_post = [
+// Validate and normalize the ISBN of a submitted book: it must be a valid
+// ISBN-10 or ISBN-13, is stored as ISBN-13 and no other book may have it.
+const isbnValidator = () =>
+  body('isbn')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('ISBN must not be empty.')
+    .bail()
+    .custom(isbn.isValid)
+    .withMessage('ISBN must be a valid ISBN-10 or ISBN-13.')
+    .bail()
+    .customSanitizer(isbn.toIsbn13)
+    .custom((value, { req }) => {
+      const filter = { isbn: value };
+
+      // When updating, the book itself doesn't count as a duplicate
+      if (mongoose.isValidObjectId(req.params.id)) {
+        filter._id = { $ne: req.params.id };
+      }
+
+      return Book.findOne(filter, 'title').then((found_book) => {
+        if (found_book) {
+          throw new Error(
+            `ISBN ${value} is already used by "${found_book.title}".`
+          );
+        }
+      });
+    });
+
+// Collect the contributors of a submitted book into req.body.contributors.
+// The JSON API sends them as a list of { author, role }, the book form as
+// matching lists of contributor_author and contributor_role, where rows
+// without an author are left out.
+const collectContributors = (req, res, next) => {
+  if (!Array.isArray(req.body.contributors)) {
+    const authors = [].concat(req.body.contributor_author || []);
+    const roles = [].concat(req.body.contributor_role || []);
+
+    req.body.contributors = authors
+      .map((author, i) => ({ author, role: roles[i] || 'Author' }))
+      .filter((contributor) => contributor.author);
+  }
+
+  next();
+};
+
+// Validate the contributors of a submitted book: at least one, each an
+// author in one of the roles, and no one twice in the same role
+const contributorValidators = () => [
+  collectContributors,
+  body('contributors')
+    .custom((contributors) => contributors.length > 0)
+    .withMessage('A book needs at least one contributor.')
+    .bail()
+    .custom(
+      (contributors) =>
+        new Set(contributors.map((c) => `${c.author} ${c.role}`)).size ===
+        contributors.length
+    )
+    .withMessage('An author can only be listed once in each role.'),
+  body('contributors.*.author', 'Contributor must be an author.').isMongoId(),
+  body('contributors.*.role', 'Contributor role is not valid.').isIn(
+    Book.CONTRIBUTOR_ROLES
+  ),
+];
+
+// Validate the series of a submitted book and its volume number. A book in
+// a series needs a volume number no other book in the series has.
+const seriesValidators = () => [
+  body('series', 'Series must be a series.')
+    .optional({ checkFalsy: true })
+    .isMongoId(),
+  body('volume')
+    .if((value, { req }) => req.body.series)
+    .trim()
+    .isFloat({ min: 0 })
+    .withMessage('Volume must be a number, 0 or more.')
+    .bail()
+    .toFloat()
+    .custom((value, { req }) => {
+      const filter = { series: req.body.series, volume: value };
+
+      // When updating, the book itself doesn't count as a duplicate
+      if (mongoose.isValidObjectId(req.params.id)) {
+        filter._id = { $ne: req.params.id };
+      }
+
+      return Book.findOne(filter, 'title').then((found_book) => {
+        if (found_book) {
+          throw new Error(
+            `Volume ${value} of the series is already "${found_book.title}".`
+          );
+        }
+      });
+    }),
+];
+
+// Validators for book create. Shared with the JSON API.
+exports.book_create_validators = [
   // Convert the genre to an array
   (req, res, next) => {
     let { genre } = req.body;
@@ -114,6 +749,7 @@ exports.book_create_post = [
     if (!Array.isArray(genre))
       genre = typeof genre === 'undefined' ? [] : [genre];
 
+    req.body.genre = genre;
     next();
   },
 
@@ -122,153 +758,126 @@ exports.book_create_post = [
     .trim()
     .isLength({ min: 1 })
     .escape(),
-  body('author', 'Author must not be empty')
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
+  ...contributorValidators(),
   body('summary', 'Summary must not be empty')
     .trim()
     .isLength({ min: 1 })
     .escape(),
-  body('isbn', 'ISBN must not be empty')
-    .trim()
-    .isLength({ min: 10, max: 13 })
-    .withMessage('ISBN must be 10-13 characters long.')
-    .escape(),
+  isbnValidator(),
   body('genre.*').escape(),
+  ...seriesValidators(),
+];
+
+// Handle book create on POST.
+exports.book_create_post = [
+  readBookForm,
+  ...exports.book_create_validators,
+  coverValidator(),
 
   // Process request after validation and sanitization
   (req, res, next) => {
     // Extract the validation errors from a request
     const errors = validationResult(req);
-    const { title, author, summary, isbn, genre } = req.body;
+    const { title, contributors, summary, isbn, genre, series, volume } =
+      req.body;
 
     // Create a Book object with escaped and trimmed data
     const book = new Book({
       title,
-      author,
+      contributors,
       summary,
       isbn,
       genre,
+      series: series || null,
+      volume: series ? volume : null,
     });
 
     if (!errors.isEmpty()) {
       // There are errors. Render form again with sanitized values/error messages.
+      return renderBookForm(res, next, 'Create Book', book, errors.array());
+    }
 
-      // Get all authors and genres for form
-      async.parallel(
-        {
-          authors(callback) {
-            Author.find(callback);
-          },
-          genres(callback) {
-            Genre.find(callback);
-          },
-        },
-        (err, results) => {
-          if (err) return next(err);
+    // Data from form is valid. Store the cover, if any, and save book.
+    formCover(req, book._id, (err, cover) => {
+      if (err) return next(err);
 
-          // Mark our selected genres as checked.
-          for (const genre of results.genres) {
-            if (book.genre.includes(genre._id)) genre.checked = 'true';
-          }
+      if (cover) book.cover = cover;
 
-          res.render('book_form', {
-            title: 'Create Book',
-            authors: results.authors,
-            genres: results.genres,
-            book,
-            errors: errors.array(),
-          });
+      book.save((err) => {
+        if (Book.isDuplicateIsbn(err)) {
+          return rejectDuplicateIsbn(res, next, 'Create Book', book, cover);
         }
-      );
 
-      return;
-    }
+        if (err) return next(err);
 
-    // Data from form is valid. Save book.
-    book.save((err) => {
-      if (err) return next(err);
+        AuditEntry.record(req.user, 'Create', null, book, (err) => {
+          if (err) return next(err);
 
-      // Successful - redirect to new book record
-      res.redirect(book.url);
+          // Successful - redirect to new book record
+          res.redirect(book.url);
+        });
+      });
     });
   },
 ];
 
-// Display book delete form on GET.
-exports.book_delete_get = (req, res, next) => {
-  const { id } = req.params;
-
-  async.parallel(
-    {
-      book(callback) {
-        Book.findById(id).populate('author').exec(callback);
-      },
-      book_instances(callback) {
-        BookInstance.find({ book: id }).exec(callback);
-      },
-    },
-    (err, results) => {
-      const { book, book_instances } = results;
-
-      if (err) return next(err);
-
-      if (book === null) {
-        // No results
-        res.redirect('/catalog/books');
-      }
+// Render the book delete page: the book's copies, which are deleted with it,
+// with the choice made so far and any errors
+const renderBookDelete = (res, next, id, form = {}) => {
+  catalogDelete.previewBookDelete(id, (err, plan) => {
+    if (err) return next(err);
 
-      // Successful, so render
-      res.render('book_delete', {
-        title: 'Delete Book',
-        book,
-        book_instances,
-      });
+    if (plan === null) {
+      // No results
+      return res.redirect('/catalog/books');
     }
-  );
-};
 
-// Handle book delete on POST.
-exports.book_delete_post = (req, res, next) => {
-  const { book_id } = req.body;
+    // Successful, so render
+    res.render('book_delete', {
+      title: 'Delete Book',
+      // The book with its contributors
+      book: plan.books[0],
+      book_instances: plan.cascade.copies,
+      cascade: plan.cascade,
+      strategy: form.strategy,
+      errors: form.errors,
+    });
+  });
+};
 
-  async.parallel(
-    {
-      book(callback) {
-        Book.findById(book_id).exec(callback);
-      },
-      book_instances(callback) {
-        BookInstance.find({ book: book_id }).exec(callback);
-      },
-    },
-    (err, results) => {
-      if (err) return next(err);
+// Display book delete form on GET.
+exports.book_delete_get = (req, res, next) => {
+  renderBookDelete(res, next, req.params.id);
+};
 
-      // Success
-      const { book, book_instances } = results;
-
-      if (book_instances.length > 0) {
-        // Book has instances. Render in the same way as for GET route
-        res.render('book_delete', {
-          title: 'Delete',
-          book,
-          book_instances,
-        });
+// Handle book delete on POST. A book with copies is only deleted when the
+// copies are to be deleted with it, in one transaction.
+exports.book_delete_post = [
+  body('strategy').optional({ checkFalsy: true }).trim(),
 
-        return;
-      }
+  (req, res, next) => {
+    const { book_id, strategy } = req.body;
 
-      // Book has no instances. Delete object and redirect to the list of books
-      Book.findByIdAndRemove(book_id, (err) => {
+    catalogDelete.deleteBook(
+      book_id,
+      strategy,
+      { actor: req.user },
+      (err, result) => {
         if (err) return next(err);
 
+        if (result && result.error) {
+          return renderBookDelete(res, next, book_id, {
+            strategy,
+            errors: [{ msg: result.error }],
+          });
+        }
+
         // Success - go to book list
         res.redirect('/catalog/books');
-      });
-    }
-  );
-};
+      }
+    );
+  },
+];
 
 // Display book update form on GET.
 exports.book_update_get = (req, res, next) => {
@@ -276,16 +885,16 @@ exports.book_update_get = (req, res, next) => {
   async.parallel(
     {
       book(callback) {
-        Book.findById(req.params.id)
-          .populate('author')
-          .populate('genre')
-          .exec(callback);
+        Book.findById(req.params.id).populate('genre').exec(callback);
       },
       authors(callback) {
         Author.find(callback);
       },
       genres(callback) {
-        Genre.find(callback);
+        Genre.findTree(callback);
+      },
+      series(callback) {
+        Series.find().sort({ name: 1 }).exec(callback);
       },
     },
     (err, results) => {
@@ -312,16 +921,19 @@ exports.book_update_get = (req, res, next) => {
 
       res.render('book_form', {
         title: 'Update Book',
+        ...COVER_HINTS,
+        roles: Book.CONTRIBUTOR_ROLES,
         authors,
         genres,
+        series_list: results.series,
         book,
       });
     }
   );
 };
 
-// Handle book update on POST.
-exports.book_update_post = [
+// Validators for book update. Shared with the JSON API.
+exports.book_update_validators = [
   // Convert the genre to an array
   (req, res, next) => {
     let { genre } = req.body;
@@ -330,6 +942,7 @@ exports.book_update_post = [
       genre = typeof genre === 'undefined' ? [] : [genre];
     }
 
+    req.body.genre = genre;
     next();
   },
 
@@ -338,78 +951,88 @@ exports.book_update_post = [
     .trim()
     .isLength({ min: 1 })
     .escape(),
-  body('author', 'Author must not be empty.')
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
+  ...contributorValidators(),
   body('summary', 'Summary must not be empty.')
     .trim()
     .isLength({ min: 1 })
     .escape(),
-  body('isbn', 'ISBN must not be empty.').trim().isLength({ min: 1 }).escape(),
+  isbnValidator(),
   body('genre.*').escape(),
+  ...seriesValidators(),
+];
+
+// Handle book update on POST.
+exports.book_update_post = [
+  readBookForm,
+  ...exports.book_update_validators,
+  coverValidator(),
 
   // Process request after validation and sanitization
   (req, res, next) => {
     // Extract the validation errors from a request
     const errors = validationResult(req);
     const { id } = req.params;
-    const { title, author, summary, isbn, genre } = req.body;
+    const { title, contributors, summary, isbn, genre, series, volume } =
+      req.body;
 
     // Create a Book object with escaped/trimmed data and old id.
     const book = new Book({
       title,
-      author,
+      contributors,
       summary,
       isbn,
       genre: typeof genre === 'undefined' ? [] : genre,
+      series: series || null,
+      volume: series ? volume : null,
       _id: id, // This is required, or a new ID will be assigned!
     });
 
     if (!errors.isEmpty()) {
       // There are errors. Render form again with sanitized values/error messages
+      return renderBookForm(res, next, 'Update Book', book, errors.array());
+    }
 
-      // Get all authors and genres for form
-      async.parallel(
-        {
-          authors(callback) {
-            Author.find(callback);
-          },
-          genres(callback) {
-            Genre.find(callback);
-          },
-        },
-        (err, results) => {
-          if (err) return next(err);
-
-          const { authors, genres } = results;
+    // Data from form is valid. Store any new cover and update the record.
+    formCover(req, id, (err, cover) => {
+      if (err) return next(err);
 
-          // Mark our selected genres as checked
-          for (const genre of genres) {
-            if (book.genre.includes(genre._id)) {
-              genre.checked = 'true';
-            }
-          }
+      if (cover) book.cover = cover;
 
-          res.render('book_form', {
-            title: 'Update Book',
-            authors,
-            genres,
-            book,
-            errors: errors.array(),
-          });
+      Book.findByIdAndUpdate(id, book, (err, updatedBook) => {
+        if (Book.isDuplicateIsbn(err)) {
+          return rejectDuplicateIsbn(res, next, 'Update Book', book, cover);
         }
-      );
 
-      return;
-    }
+        if (err) return next(err);
 
-    // Data from form is valid. Update the record.
-    Book.findByIdAndUpdate(id, book, (err, updatedBook) => {
-      if (err) return next(err);
+        // updatedBook is the book as it was before the update. A cover left
+        // as it was isn't part of the update.
+        if (!cover) book.cover = updatedBook.cover;
+
+        async.series(
+          [
+            (callback) =>
+              AuditEntry.record(
+                req.user,
+                'Update',
+                updatedBook,
+                book,
+                callback
+              ),
+            // The cover it replaces isn't needed any more
+            (callback) =>
+              cover
+                ? covers.removeCover(updatedBook.cover, callback)
+                : callback(),
+          ],
+          (err) => {
+            if (err) return next(err);
 
-      // Successful: redirect to book detail page
-      res.redirect(updatedBook.url);
+            // Successful: redirect to book detail page
+            res.redirect(updatedBook.url);
+          }
+        );
+      });
     });
   },
 ];
@@ -1,30 +1,81 @@
 const async = require('async');
 const BookInstance = require('../models/bookInstance');
-const Book = require('../models/book');
+const Edition = require('../models/edition');
+const Loan = require('../models/loan');
+const Hold = require('../models/hold');
+const AuditEntry = require('../models/auditEntry');
 const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { parseListQuery, buildPagination } = require('../lib/pagination');
+const exportLinks = require('../lib/exportLinks');
+const code128 = require('../lib/code128');
+const catalogDelete = require('../lib/catalogDelete');
+
+// Fields the copy list can be sorted by. The first one is the default.
+const BOOKINSTANCE_SORT_FIELDS = {
+  status: { path: 'status', label: 'Status' },
+  due_back: { path: 'due_back', label: 'Due back' },
+};
+exports.BOOKINSTANCE_SORT_FIELDS = BOOKINSTANCE_SORT_FIELDS;
 
 // Display list of all BookInstances.
 exports.bookinstance_list = (req, res, next) => {
-  BookInstance.find()
-    .populate('book')
-    .exec((err, list_bookInstances) => {
+  const listQuery = parseListQuery(req.query, BOOKINSTANCE_SORT_FIELDS);
+
+  async.parallel(
+    {
+      list_bookInstances(callback) {
+        BookInstance.find()
+          .sort(listQuery.sort)
+          .skip(listQuery.skip)
+          .limit(listQuery.limit)
+          .populate(['book', 'edition'])
+          .exec(callback);
+      },
+      total(callback) {
+        BookInstance.countDocuments({}, callback);
+      },
+    },
+    (err, results) => {
       if (err) return next(err);
 
       // Successful, so render
       res.render('bookInstance_list', {
         title: 'Book Instance List',
-        bookInstance_list: list_bookInstances,
+        bookInstance_list: results.list_bookInstances,
+        export_links: exportLinks(req, 'bookinstances'),
+        pagination: buildPagination(
+          req,
+          listQuery,
+          results.total,
+          BOOKINSTANCE_SORT_FIELDS
+        ),
       });
-    });
+    }
+  );
 };
 
 // Display detail page for a specific BookInstance.
 exports.bookinstance_detail = (req, res, next) => {
-  BookInstance.findById(req.params.id)
-    .populate('book')
-    .exec((err, bookInstance) => {
+  async.parallel(
+    {
+      bookInstance(callback) {
+        BookInstance.findById(req.params.id)
+          .populate(['book', 'edition'])
+          .exec(callback);
+      },
+      loans(callback) {
+        Loan.find({ book_instance: req.params.id })
+          .sort({ checked_out: -1 })
+          .populate('patron')
+          .exec(callback);
+      },
+    },
+    (err, results) => {
       if (err) return next(err);
 
+      const { bookInstance, loans } = results;
+
       // No results
       if (bookInstance === null) {
         const err = new Error('Book copy not found');
@@ -36,36 +87,171 @@ exports.bookinstance_detail = (req, res, next) => {
       res.render('bookinstance_detail', {
         title: `Copy: ${bookInstance.book.title}`,
         bookInstance,
+        loans,
+      });
+    }
+  );
+};
+
+// Send the barcode of a copy as a Code 128 SVG image.
+exports.bookinstance_barcode = (req, res, next) => {
+  BookInstance.findById(req.params.id, 'barcode').exec((err, bookInstance) => {
+    if (err) return next(err);
+
+    if (bookInstance === null || !bookInstance.barcode) {
+      const err = new Error('Barcode not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    res.type('svg').send(code128.toSvg(bookInstance.barcode));
+  });
+};
+
+// Redirect to the copy with a barcode, as scanned or typed in.
+exports.bookinstance_by_barcode = (req, res, next) => {
+  BookInstance.findByBarcode(req.params.barcode, (err, bookInstance) => {
+    if (err) return next(err);
+
+    if (bookInstance === null) {
+      const err = new Error('Book copy not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    res.redirect(bookInstance.url);
+  });
+};
+
+// Most labels printed at once, a few sheets' worth
+const LABEL_LIMIT = 300;
+
+// Display a sheet of labels to print for a batch of copies: the copies
+// picked with any number of ?copy= ids, in that order, or all the copies of
+// a ?book=, by barcode. Each label shows the title, call number and
+// barcode.
+exports.bookinstance_labels = (req, res, next) => {
+  const toIds = (value) =>
+    [].concat(value || []).filter((id) => mongoose.isValidObjectId(id));
+  const copy_ids = toIds(req.query.copy).slice(0, LABEL_LIMIT);
+  const [book_id] = toIds(req.query.book);
+
+  const filter = book_id ? { book: book_id } : { _id: { $in: copy_ids } };
+
+  BookInstance.find(filter)
+    .sort({ barcode: 1 })
+    .limit(LABEL_LIMIT)
+    .populate('book')
+    .exec((err, bookInstances) => {
+      if (err) return next(err);
+
+      // Picked copies are printed in the order they were picked
+      if (!book_id) {
+        bookInstances.sort(
+          (a, b) =>
+            copy_ids.indexOf(String(a._id)) - copy_ids.indexOf(String(b._id))
+        );
+      }
+
+      res.render('bookinstance_labels', {
+        title: 'Copy labels',
+        labels: bookInstances
+          .filter((bookInstance) => bookInstance.barcode)
+          .map((bookInstance) => ({
+            bookInstance,
+            barcode_svg: code128.toSvg(bookInstance.barcode, { height: 30 }),
+          })),
+        // Copies saved before there were barcodes have nothing to print yet
+        missing: bookInstances.filter((bookInstance) => !bookInstance.barcode)
+          .length,
       });
     });
 };
 
-// Display BookInstance create form on GET.
+// The editions a copy can be of, grouped by book: a list of { book,
+// editions } by book title, with the editions oldest first. Editions of
+// books in the trash are left out.
+const editionChoices = (callback) => {
+  Edition.find()
+    .sort({ year: 1 })
+    .populate('book', 'title')
+    .exec((err, editions) => {
+      if (err) return callback(err);
+
+      const groups = new Map();
+
+      for (const edition of editions.filter((edition) => edition.book)) {
+        const key = String(edition.book._id);
+
+        if (!groups.has(key)) {
+          groups.set(key, { book: edition.book, editions: [] });
+        }
+        groups.get(key).editions.push(edition);
+      }
+
+      callback(
+        null,
+        [...groups.values()].sort((a, b) =>
+          a.book.title.localeCompare(b.book.title)
+        )
+      );
+    });
+};
+
+// Display BookInstance create form on GET. ?edition= picks the edition.
 exports.bookinstance_create_get = (req, res, next) => {
-  Book.find({}, 'title').exec((err, books) => {
+  editionChoices((err, edition_groups) => {
     if (err) return next(err);
 
     // Successful, so render
     res.render('bookinstance_form', {
       title: 'Create BookInstance',
-      book_list: books,
+      edition_groups,
+      selected_edition: req.query.edition,
     });
   });
 };
 
-// Handle BookInstance create on POST.
-exports.bookinstance_create_post = [
-  // Validate and sanitize fields
-  body('book', 'Book must be specified').trim().isLength({ min: 1 }).escape(),
-  body('imprint', 'Imprint must be specified')
+// Validate the edition of a submitted copy, and take the copy's book from
+// the edition
+const editionValidator = () =>
+  body('edition', 'Edition must be specified')
+    .trim()
+    .isMongoId()
+    .bail()
+    .custom((value, { req }) =>
+      Edition.findById(value, 'book').then((edition) => {
+        if (edition === null) throw new Error('Edition not found.');
+
+        req.body.book = String(edition.book);
+      })
+    );
+
+// Validate the call number of a submitted copy, which can be left blank
+const callNumberValidator = () =>
+  body('call_number', 'Call number must be 50 characters or fewer.')
+    .optional()
     .trim()
-    .isLength({ min: 1 })
+    .isLength({ max: 50 })
+    .escape();
+
+// Validators for BookInstance create. Shared with the JSON API.
+exports.bookinstance_create_validators = [
+  // Validate and sanitize fields
+  editionValidator(),
+  body('status', 'Status must be Available or Maintenance.')
+    .isIn(BookInstance.SHELF_STATUSES)
     .escape(),
-  body('status').escape(),
   body('due_back', 'Invalid date')
     .optional({ checkFalsy: true })
     .isISO8601()
     .toDate(),
+  callNumberValidator(),
+];
+
+// Handle BookInstance create on POST.
+exports.bookinstance_create_post = [
+  ...exports.bookinstance_create_validators,
 
   // Process request after validation sanitization
   (req, res, next) => {
@@ -73,24 +259,25 @@ exports.bookinstance_create_post = [
     const errors = validationResult(req);
 
     // Create a BookInstance object with escaped and trimmed data
-    const { book, imprint, status, due_back } = req.body;
+    const { book, edition, status, due_back, call_number } = req.body;
     const bookInstance = new BookInstance({
       book,
-      imprint,
+      edition,
       status,
       due_back,
+      call_number,
     });
 
     if (!errors.isEmpty()) {
       // There are errors. Render form again with sanitized values and error messages
-      Book.find({}, 'title').exec((err, books) => {
+      editionChoices((err, edition_groups) => {
         if (err) return next(err);
 
         // Successful, so render
         res.render('bookinstance_form', {
           title: 'Create BookInstance',
-          book_list: books,
-          selected_book: bookInstance.book._id,
+          edition_groups,
+          selected_edition: edition,
           errors: errors.array(),
           selectedStatus: status,
           bookInstance,
@@ -102,10 +289,24 @@ exports.bookinstance_create_post = [
 
     // Data from form is valid
     bookInstance.save((err) => {
-      if (err) next(err);
+      if (err) return next(err);
+
+      AuditEntry.record(req.user, 'Create', null, bookInstance, (err) => {
+        if (err) return next(err);
+
+        if (bookInstance.status !== 'Available') {
+          // Successful: redirect to new record
+          return res.redirect(bookInstance.url);
+        }
+
+        // A new copy on the shelf goes to the first patron waiting for it
+        Hold.assignCopy(bookInstance, (err) => {
+          if (err) return next(err);
 
-      // Successful: redirect to new record
-      res.redirect(bookInstance.url);
+          // Successful: redirect to new record
+          res.redirect(bookInstance.url);
+        });
+      });
     });
   },
 ];
@@ -132,16 +333,35 @@ exports.bookinstance_delete_get = (req, res, next) => {
   });
 };
 
-// Handle BookInstance delete on POST.
+// Handle BookInstance delete on POST. A copy that is out with a patron or
+// set aside for a hold is kept.
 exports.bookinstance_delete_post = (req, res, next) => {
   const { book_instance_id } = req.body;
 
-  BookInstance.findByIdAndRemove(book_instance_id, (err) => {
-    if (err) return next(err);
+  catalogDelete.deleteCopy(
+    book_instance_id,
+    { actor: req.user },
+    (err, result) => {
+      if (err) return next(err);
 
-    // Success go to book instances list
-    res.redirect('/catalog/bookinstances');
-  });
+      if (result && result.error) {
+        return BookInstance.findById(book_instance_id).exec(
+          (err, book_instance) => {
+            if (err) return next(err);
+
+            res.render('bookinstance_delete', {
+              title: 'Delete Book Instance',
+              book_instance,
+              errors: [{ msg: result.error }],
+            });
+          }
+        );
+      }
+
+      // Success go to book instances list
+      res.redirect('/catalog/bookinstances');
+    }
+  );
 };
 
 // Display BookInstance update form on GET.
@@ -151,16 +371,16 @@ exports.bookinstance_update_get = (req, res, next) => {
   async.parallel(
     {
       bookInstance(callback) {
-        BookInstance.findById(id).populate('book').exec(callback);
+        BookInstance.findById(id).exec(callback);
       },
-      books(callback) {
-        Book.find({}, 'title').exec(callback);
+      edition_groups(callback) {
+        editionChoices(callback);
       },
     },
     (err, results) => {
       if (err) return next(err);
 
-      const { bookInstance, books } = results;
+      const { bookInstance, edition_groups } = results;
 
       if (bookInstance === null) {
         // No results
@@ -172,42 +392,48 @@ exports.bookinstance_update_get = (req, res, next) => {
       // Success
       res.render('bookinstance_form', {
         title: 'Update Book Instance',
-        book_list: books,
+        edition_groups,
         bookInstance,
-        selected_book: bookInstance.book._id.toString(),
+        selected_edition: String(bookInstance.edition),
         selectedStatus: bookInstance.status,
       });
     }
   );
 };
 
-// Handle BookInstance update on POST.
-exports.bookinstance_update_post = [
+// Validators for BookInstance update. Shared with the JSON API.
+exports.bookinstance_update_validators = [
   // Validate and sanitize fields
-  body('book', 'Book must be specified').trim().isLength({ min: 1 }).escape(),
-  body('imprint', 'Imprint must be specified')
-    .trim()
-    .isLength({ min: 1 })
+  editionValidator(),
+  body('status', 'Status must be Available or Maintenance.')
+    .optional()
+    .isIn(BookInstance.SHELF_STATUSES)
     .escape(),
-  body('status').escape(),
   body('due_back', 'Invalid date')
     .optional({ checkFalsy: true })
     .isISO8601()
     .toDate(),
+  callNumberValidator(),
+];
+
+// Handle BookInstance update on POST.
+exports.bookinstance_update_post = [
+  ...exports.bookinstance_update_validators,
 
   // Process request after validation and sanitization
   (req, res, next) => {
     // Extract the validation errors from request
     const errors = validationResult(req);
     const { id } = req.params;
-    const { book, imprint, due_back, status } = req.body;
+    const { book, edition, due_back, status, call_number } = req.body;
 
     // Create a bookInstance object with escaped/trimmed data and old id.
     const bookInstance = new BookInstance({
       book,
-      imprint,
+      edition,
       due_back,
       status,
+      call_number,
       _id: id, // This is required or a new ID will be assigned!
     });
 
@@ -217,22 +443,22 @@ exports.bookinstance_update_post = [
       async.parallel(
         {
           bookInstance(callback) {
-            BookInstance.findById(id).populate('book').exec(callback);
+            BookInstance.findById(id).exec(callback);
           },
-          books(callback) {
-            Book.find({}, 'title').exec(callback);
+          edition_groups(callback) {
+            editionChoices(callback);
           },
         },
         (err, results) => {
           if (err) return next(err);
 
-          const { bookInstance, books } = results;
+          const { bookInstance, edition_groups } = results;
 
           res.render('bookinstance_form', {
             title: 'Update Book Instance',
-            book_list: books,
+            edition_groups,
             bookInstance,
-            selected_book: bookInstance.book._id.toString(),
+            selected_edition: edition,
             selectedStatus: bookInstance.status,
             errors: errors.array(),
           });
@@ -242,16 +468,58 @@ exports.bookinstance_update_post = [
       return;
     }
 
-    // Data from form is valid. Update the record.
-    BookInstance.findByIdAndUpdate(
-      id,
-      bookInstance,
-      (err, updatedBookInstance) => {
-        if (err) return next(err);
+    BookInstance.findById(id).exec((err, found_bookInstance) => {
+      if (err) return next(err);
+
+      if (found_bookInstance === null) {
+        const err = new Error('Book instance not found!');
+        err.status = 404;
+        return next(err);
+      }
 
-        // Successful: redirect to bookinstance detail page
-        res.redirect(updatedBookInstance.url);
+      // Status and due date of a copy that is out are managed by its loan
+      if (!BookInstance.SHELF_STATUSES.includes(found_bookInstance.status)) {
+        bookInstance.status = found_bookInstance.status;
+        bookInstance.due_back = found_bookInstance.due_back;
       }
-    );
+
+      // The barcode stays the copy's own
+      bookInstance.barcode = found_bookInstance.barcode;
+
+      // Data from form is valid. Update the record.
+      BookInstance.findByIdAndUpdate(
+        id,
+        bookInstance,
+        (err, updatedBookInstance) => {
+          if (err) return next(err);
+
+          AuditEntry.record(
+            req.user,
+            'Update',
+            found_bookInstance,
+            bookInstance,
+            (err) => {
+              if (err) return next(err);
+
+              // Only a copy coming back onto the shelf can fill a hold
+              if (
+                bookInstance.status !== 'Available' ||
+                found_bookInstance.status === 'Available'
+              ) {
+                // Successful: redirect to bookinstance detail page
+                return res.redirect(updatedBookInstance.url);
+              }
+
+              Hold.assignCopy(bookInstance, (err) => {
+                if (err) return next(err);
+
+                // Successful: redirect to bookinstance detail page
+                res.redirect(updatedBookInstance.url);
+              });
+            }
+          );
+        }
+      );
+    });
   },
 ];
@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+const Edition = require('../models/edition');
+const Book = require('../models/book');
+const BookInstance = require('../models/bookInstance');
+const AuditEntry = require('../models/auditEntry');
+const async = require('async');
+const { body, validationResult } = require('express-validator');
+const isbn = require('../lib/isbn');
+
+// Display detail page for a specific Edition, with its copies.
+exports.edition_detail = (req, res, next) => {
+  async.parallel(
+    {
+      edition(callback) {
+        Edition.findById(req.params.id).populate('book').exec(callback);
+      },
+      copies(callback) {
+        BookInstance.find({ edition: req.params.id }).exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      // No results
+      if (results.edition === null) {
+        const err = new Error('Edition not found');
+        err.status = 404;
+        return next(err);
+      }
+
+      // Successful, so render
+      res.render('edition_detail', {
+        title: 'Edition Detail',
+        edition: results.edition,
+        copies: results.copies,
+      });
+    }
+  );
+};
+
+// Render the Edition form. The book is chosen from all books for a new
+// edition (form.book_id preselects one), an existing edition keeps its book.
+const renderEditionForm = (res, next, title, form = {}) => {
+  const { edition } = form;
+
+  async.parallel(
+    {
+      books(callback) {
+        if (form.update) return callback(null, []);
+
+        Book.find({}, 'title').sort({ title: 1 }).exec(callback);
+      },
+      book(callback) {
+        if (!form.update) return callback(null, null);
+
+        Book.findById(edition.book, 'title').exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      res.render('edition_form', {
+        title,
+        book_list: results.books,
+        book: results.book,
+        selected_book: edition ? String(edition.book) : form.book_id,
+        formats: Edition.FORMATS,
+        edition,
+        errors: form.errors,
+      });
+    }
+  );
+};
+
+// Display Edition create form on GET. ?book= picks the book.
+exports.edition_create_get = (req, res, next) => {
+  renderEditionForm(res, next, 'Create Edition', { book_id: req.query.book });
+};
+
+// Validate and normalize the ISBN of a submitted edition: it is optional,
+// but must be a valid ISBN-10 or ISBN-13, is stored as ISBN-13 and no other
+// edition may have it.
+const isbnValidator = () =>
+  body('isbn')
+    .optional({ checkFalsy: true })
+    .trim()
+    .custom(isbn.isValid)
+    .withMessage('ISBN must be a valid ISBN-10 or ISBN-13.')
+    .bail()
+    .customSanitizer(isbn.toIsbn13)
+    .custom((value, { req }) => {
+      const filter = { isbn: value };
+
+      // When updating, the edition itself doesn't count as a duplicate
+      if (mongoose.isValidObjectId(req.params.id)) {
+        filter._id = { $ne: req.params.id };
+      }
+
+      return Edition.findOne(filter)
+        .populate('book', 'title')
+        .then((found_edition) => {
+          if (found_edition) {
+            throw new Error(
+              `ISBN ${value} is already used by an edition of "${
+                found_edition.book ? found_edition.book.title : 'another book'
+              }".`
+            );
+          }
+        });
+    });
+
+// Validators for Edition create and update. The book of an edition is only
+// chosen when it is created.
+const editionValidators = () => [
+  body('publisher', 'Publisher must not be empty.')
+    .trim()
+    .isLength({ min: 1 })
+    .escape(),
+  body('year', 'Year must be a year, like 1983.')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isInt({ min: 0, max: 9999 })
+    .toInt(),
+  isbnValidator(),
+  body('language').optional({ checkFalsy: true }).trim().escape(),
+  body('format', 'Format is not valid.').isIn(Edition.FORMATS),
+];
+
+// The edition fields of a validated request
+const editionFields = (req) => {
+  const { publisher, year, isbn, language, format } = req.body;
+
+  return {
+    publisher,
+    year: year || null,
+    isbn: isbn || undefined,
+    language,
+    format,
+  };
+};
+
+// Handle Edition create on POST.
+exports.edition_create_post = [
+  body('book', 'Book must be specified').trim().isMongoId(),
+  ...editionValidators(),
+
+  // Process request after validation and sanitization
+  (req, res, next) => {
+    // Extract the validation errors from a request
+    const errors = validationResult(req);
+
+    // Create an Edition object with escaped and trimmed data
+    const edition = new Edition({ book: req.body.book, ...editionFields(req) });
+
+    if (!errors.isEmpty()) {
+      // There are errors. Render the form again with sanitized values/error messages
+      renderEditionForm(res, next, 'Create Edition', {
+        edition,
+        errors: errors.array(),
+      });
+      return;
+    }
+
+    Book.exists({ _id: edition.book }, (err, book_exists) => {
+      if (err) return next(err);
+
+      if (!book_exists) {
+        renderEditionForm(res, next, 'Create Edition', {
+          edition,
+          errors: [{ msg: 'Book not found.' }],
+        });
+        return;
+      }
+
+      // Data from form is valid. Save edition.
+      edition.save((err) => {
+        if (err) return next(err);
+
+        AuditEntry.record(req.user, 'Create', null, edition, (err) => {
+          if (err) return next(err);
+
+          // Successful - redirect to new edition record
+          res.redirect(edition.url);
+        });
+      });
+    });
+  },
+];
+
+// Display Edition delete form on GET.
+exports.edition_delete_get = (req, res, next) => {
+  async.parallel(
+    {
+      edition(callback) {
+        Edition.findById(req.params.id).populate('book').exec(callback);
+      },
+      copies(callback) {
+        BookInstance.find({ edition: req.params.id }).exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      if (results.edition === null) {
+        // No results
+        return res.redirect('/catalog/books');
+      }
+
+      // Successful, so render
+      res.render('edition_delete', {
+        title: 'Delete Edition',
+        edition: results.edition,
+        copies: results.copies,
+      });
+    }
+  );
+};
+
+// Handle Edition delete on POST. An edition with copies can't be deleted,
+// they must be moved to another edition or deleted first.
+exports.edition_delete_post = (req, res, next) => {
+  const { edition_id } = req.body;
+
+  async.parallel(
+    {
+      edition(callback) {
+        Edition.findById(edition_id).populate('book').exec(callback);
+      },
+      copies(callback) {
+        BookInstance.find({ edition: edition_id }).exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      if (results.edition === null) {
+        // No results
+        return res.redirect('/catalog/books');
+      }
+
+      if (results.copies.length) {
+        // Edition has copies. Render in same way as for GET route.
+        res.render('edition_delete', {
+          title: 'Delete Edition',
+          edition: results.edition,
+          copies: results.copies,
+        });
+        return;
+      }
+
+      // Edition has no copies. Move it to the trash and go to its book.
+      Edition.trash(edition_id, req.user, (err) => {
+        if (err) return next(err);
+
+        // Success - go to the book
+        res.redirect(results.edition.book ? results.edition.book.url : '/');
+      });
+    }
+  );
+};
+
+// Display Edition update form on GET.
+exports.edition_update_get = (req, res, next) => {
+  Edition.findById(req.params.id).exec((err, edition) => {
+    if (err) return next(err);
+
+    if (edition === null) {
+      // No results
+      const err = new Error('Edition not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    // Success
+    renderEditionForm(res, next, 'Update Edition', { edition, update: true });
+  });
+};
+
+// Handle Edition update on POST.
+exports.edition_update_post = [
+  ...editionValidators(),
+
+  // Process request after validation and sanitization
+  (req, res, next) => {
+    // Extract the validation errors from a request
+    const errors = validationResult(req);
+    const { id } = req.params;
+
+    Edition.findById(id).exec((err, found_edition) => {
+      if (err) return next(err);
+
+      if (found_edition === null) {
+        const err = new Error('Edition not found');
+        err.status = 404;
+        return next(err);
+      }
+
+      // Create an Edition object with escaped/trimmed data, its book and
+      // old id.
+      const edition = new Edition({
+        ...editionFields(req),
+        book: found_edition.book,
+        _id: id, // This is required, or a new ID will be assigned!
+      });
+
+      if (!errors.isEmpty()) {
+        // There are errors. Render form again with sanitized values/error messages
+        renderEditionForm(res, next, 'Update Edition', {
+          edition,
+          update: true,
+          errors: errors.array(),
+        });
+        return;
+      }
+
+      // Data from form is valid. Update the record.
+      Edition.findByIdAndUpdate(id, edition, (err) => {
+        if (err) return next(err);
+
+        AuditEntry.record(req.user, 'Update', found_edition, edition, (err) => {
+          if (err) return next(err);
+
+          // Successful: redirect to edition detail page
+          res.redirect(edition.url);
+        });
+      });
+    });
+  },
+];
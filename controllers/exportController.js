@@ -0,0 +1,298 @@
+const { Transform, pipeline } = require('stream');
+const { unescape } = require('validator');
+const createError = require('http-errors');
+const Book = require('../models/book');
+const Author = require('../models/author');
+const Genre = require('../models/genre');
+const BookInstance = require('../models/bookInstance');
+const book_controller = require('./bookController');
+const author_controller = require('./authorController');
+const genre_controller = require('./genreController');
+const book_instance_controller = require('./bookInstanceController');
+const { parseListQuery } = require('../lib/pagination');
+const csv = require('../lib/csv');
+const marc = require('../lib/marc');
+const catalogMarc = require('../lib/catalogMarc');
+
+// Text is stored escaped for HTML, exports hold it as it was entered
+const text = (value) => (value ? unescape(value) : '');
+
+const date = (value) => (value ? value.toISOString().slice(0, 10) : '');
+
+// Contributors, and the books copies belong to, are exported by readable
+// name, with the role of contributors who aren't authors
+const contributorNames = (book) =>
+  book.contributors
+    .filter((contributor) => contributor.author)
+    .map(({ author, role }) => {
+      const name = `${text(author.family_name)}, ${text(author.first_name)}`;
+
+      return role === 'Author' ? name : `${name} (${role})`;
+    });
+
+const bookName = (book) =>
+  book ? `${text(book.title)} — ${contributorNames(book).join('; ')}` : '';
+
+// What each collection exports: the model, the list page's sort fields and
+// filters, and the columns of a document. Only books have MARC records.
+const EXPORTS = {
+  books: {
+    model: Book,
+    marc: true,
+    sortFields: book_controller.BOOK_SORT_FIELDS,
+    match: book_controller.book_list_match,
+    populate: ['contributors.author', 'genre', 'series'],
+    columns: {
+      id: (book) => book._id,
+      title: (book) => text(book.title),
+      contributors: contributorNames,
+      summary: (book) => text(book.summary),
+      isbn: (book) => book.isbn,
+      genres: (book) => book.genre.map((genre) => text(genre.name)),
+      series: (book) => (book.series ? text(book.series.name) : ''),
+      volume: (book) => (book.series ? book.volume : ''),
+    },
+  },
+  authors: {
+    model: Author,
+    sortFields: author_controller.AUTHOR_SORT_FIELDS,
+    columns: {
+      id: (author) => author._id,
+      first_name: (author) => text(author.first_name),
+      family_name: (author) => text(author.family_name),
+      date_of_birth: (author) => date(author.date_of_birth),
+      date_of_death: (author) => date(author.date_of_death),
+    },
+  },
+  genres: {
+    model: Genre,
+    sortFields: genre_controller.GENRE_SORT_FIELDS,
+    columns: {
+      id: (genre) => genre._id,
+      name: (genre) => text(genre.name),
+    },
+  },
+  bookinstances: {
+    model: BookInstance,
+    sortFields: book_instance_controller.BOOKINSTANCE_SORT_FIELDS,
+    populate: [
+      { path: 'book', populate: { path: 'contributors.author' } },
+      'edition',
+    ],
+    columns: {
+      id: (bookInstance) => bookInstance._id,
+      barcode: (bookInstance) => bookInstance.barcode || '',
+      book: (bookInstance) => bookName(bookInstance.book),
+      isbn: (bookInstance) => (bookInstance.book ? bookInstance.book.isbn : ''),
+      edition: (bookInstance) =>
+        bookInstance.edition ? text(bookInstance.edition.label) : '',
+      edition_isbn: (bookInstance) =>
+        bookInstance.edition ? bookInstance.edition.isbn || '' : '',
+      call_number: (bookInstance) => text(bookInstance.call_number),
+      status: (bookInstance) => bookInstance.status,
+      due_back: (bookInstance) => date(bookInstance.due_back),
+    },
+  },
+};
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Text for a CSV cell, with a ' in front when a spreadsheet would take it
+// for a formula. Numbers are left as they are.
+const csvCell = (value) =>
+  typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value;
+
+// Turn a stream of documents into CSV, one line per document after a header
+const csvStream = (columns) => {
+  let first = true;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(doc, encoding, callback) {
+      let chunk = '';
+
+      if (first) {
+        chunk += csv.formatRow(Object.keys(columns));
+        first = false;
+      }
+
+      chunk += csv.formatRow(
+        Object.values(columns).map((column) => {
+          const value = column(doc);
+
+          // Lists share a cell, like the genres column of the import
+          return csvCell(Array.isArray(value) ? value.join('; ') : value);
+        })
+      );
+      callback(null, chunk);
+    },
+    flush(callback) {
+      // An empty export still gets its header
+      callback(null, first ? csv.formatRow(Object.keys(columns)) : '');
+    },
+  });
+};
+
+// Turn a stream of documents into a JSON array of objects
+const jsonStream = (columns) => {
+  let first = true;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(doc, encoding, callback) {
+      const record = {};
+
+      for (const [name, column] of Object.entries(columns)) {
+        record[name] = column(doc);
+      }
+
+      callback(null, `${first ? '[\n' : ',\n'}${JSON.stringify(record)}`);
+      first = false;
+    },
+    flush(callback) {
+      callback(null, first ? '[]\n' : '\n]\n');
+    },
+  });
+};
+
+// Turn a stream of books into MARC21 records, one after the other
+const marcStream = () =>
+  new Transform({
+    writableObjectMode: true,
+    transform(book, encoding, callback) {
+      let record;
+
+      // A record too long for ISO 2709 ends the export with the error
+      try {
+        record = marc.toBinary(catalogMarc.bookToRecord(book));
+      } catch (err) {
+        return callback(err);
+      }
+
+      callback(null, record);
+    },
+  });
+
+// Turn a stream of books into a MARCXML collection
+const marcXmlStream = () => {
+  let first = true;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(book, encoding, callback) {
+      const record = marc.toXml(catalogMarc.bookToRecord(book));
+
+      callback(null, `${first ? marc.XML_COLLECTION_START : ''}${record}`);
+      first = false;
+    },
+    flush(callback) {
+      callback(
+        null,
+        `${first ? marc.XML_COLLECTION_START : ''}${marc.XML_COLLECTION_END}`
+      );
+    },
+  });
+};
+
+// Download formats: their content type and how documents are written. MARC
+// formats only hold books.
+const FORMATS = {
+  csv: {
+    type: 'text/csv; charset=utf-8',
+    stream: (definition) => csvStream(definition.columns),
+  },
+  json: {
+    type: 'application/json; charset=utf-8',
+    stream: (definition) => jsonStream(definition.columns),
+  },
+  mrc: { type: 'application/marc', stream: marcStream, marc: true },
+  xml: {
+    type: 'application/marcxml+xml; charset=utf-8',
+    stream: marcXmlStream,
+    marc: true,
+  },
+};
+
+// Download a whole collection as CSV or JSON, or the books as MARC21 or
+// MARCXML, e.g. /catalog/export/books.csv. The query string takes the same
+// sort and filters as the collection's list page. Documents are streamed
+// from the database to the response one at a time, so large exports don't
+// have to fit in memory.
+exports.export_get = (req, res, next) => {
+  const { collection } = req.params;
+  const definition = EXPORTS[collection];
+  const format = FORMATS[req.params.format];
+
+  if (!definition || !format || (format.marc && !definition.marc)) {
+    return next(createError(404, 'Export not found'));
+  }
+
+  const listQuery = parseListQuery(req.query, definition.sortFields);
+  const match = definition.match || ((query, callback) => callback(null, {}));
+
+  match(req.query, (err, filter) => {
+    if (err) return next(err);
+
+    const cursor = definition.model
+      .find(filter)
+      .sort(listQuery.sort)
+      .populate(definition.populate || [])
+      .cursor();
+
+    res.attachment(`${collection}.${req.params.format}`);
+    res.type(format.type);
+
+    pipeline(cursor, format.stream(definition), res, (err) => {
+      if (!err) return;
+
+      // Once streaming has started the status can't change, so the
+      // download is cut short instead
+      if (res.headersSent || res.destroyed) return res.destroy();
+
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      next(err);
+    });
+  });
+};
+
+// Download the MARC record of one book, as MARC21 (.mrc) or MARCXML (.xml).
+exports.book_marc_get = (req, res, next) => {
+  const format = FORMATS[req.params.format];
+
+  if (!format || !format.marc) {
+    return next(createError(404, 'Export not found'));
+  }
+
+  Book.findById(req.params.id)
+    .populate(['contributors.author', 'genre'])
+    .exec((err, book) => {
+      if (err) return next(err);
+
+      if (book === null) {
+        const err = new Error('Book not found');
+        err.status = 404;
+        return next(err);
+      }
+
+      const record = catalogMarc.bookToRecord(book);
+      let body;
+
+      // A record too long for ISO 2709 can't be downloaded as MARC21
+      try {
+        body =
+          format === FORMATS.mrc
+            ? marc.toBinary(record)
+            : `${marc.XML_COLLECTION_START}${marc.toXml(record)}${
+                marc.XML_COLLECTION_END
+              }`;
+      } catch (err) {
+        return next(err);
+      }
+
+      res.attachment(`${book.isbn}.${req.params.format}`);
+      res.type(format.type);
+      res.send(body);
+    });
+};
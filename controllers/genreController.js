@@ -1,32 +1,69 @@
+const mongoose = require('mongoose');
 const Genre = require('../models/genre');
 const Book = require('../models/book');
+const AuditEntry = require('../models/auditEntry');
 const async = require('async');
 const { body, validationResult } = require('express-validator');
+const catalogDelete = require('../lib/catalogDelete');
+const exportLinks = require('../lib/exportLinks');
 
-// Display list of all Genre.
+// Fields the genre list can be sorted by. The first one is the default.
+const GENRE_SORT_FIELDS = {
+  name: { path: 'name', label: 'Name' },
+};
+exports.GENRE_SORT_FIELDS = GENRE_SORT_FIELDS;
+
+// Display list of all Genre, as a tree of genres and their subgenres.
 exports.genre_list = (req, res, next) => {
-  Genre.find()
-    .sort([['name', 'ascending']])
-    .exec(function (err, genre_list) {
-      if (err) return next(err);
+  Genre.findTree((err, genres) => {
+    if (err) return next(err);
 
-      // Successful, so render
-      res.render('genre_list', {
-        title: 'Genre List',
-        genre_list,
-      });
+    // Successful, so render
+    res.render('genre_list', {
+      title: 'Genre List',
+      genre_tree: genres.filter((genre) => genre.depth === 0),
+      export_links: exportLinks(req, 'genres'),
     });
+  });
+};
+
+// The ids of a genre from Genre.findTree and of all its subgenres
+const subtreeIds = (genre) => [
+  genre._id,
+  ...genre.children.flatMap(subtreeIds),
+];
+
+// The genres above a genre from Genre.findTree, from the top down
+const ancestorsOf = (genres, genre) => {
+  const parentOf = (g) =>
+    g.parent && genres.find((other) => other._id.equals(g.parent));
+  const ancestors = [];
+
+  for (let parent = parentOf(genre); parent; parent = parentOf(parent)) {
+    // Stop at a genre already seen, in case a move made a loop
+    if (
+      parent._id.equals(genre._id) ||
+      ancestors.some((ancestor) => ancestor._id.equals(parent._id))
+    ) {
+      break;
+    }
+
+    ancestors.unshift(parent);
+  }
+
+  return ancestors;
 };
 
-// Display detail page for a specific Genre.
+// Display detail page for a specific Genre, with the books in it and in all
+// of its subgenres.
 exports.genre_detail = (req, res, next) => {
   async.parallel(
     {
       genre(callback) {
         Genre.findById(req.params.id).exec(callback);
       },
-      genre_books(callback) {
-        Book.find({ genre: req.params.id }).exec(callback);
+      genres(callback) {
+        Genre.findTree(callback);
       },
     },
     (err, results) => {
@@ -39,27 +76,99 @@ exports.genre_detail = (req, res, next) => {
         return next(err);
       }
 
-      // Successful, so render
-      res.render('genre_detail', {
-        title: 'Genre Detail',
-        genre: results.genre,
-        genre_books: results.genre_books,
-      });
+      // The genre as placed in the tree, with its subgenres
+      const genre =
+        results.genres.find((g) => g._id.equals(results.genre._id)) ||
+        Object.assign(results.genre, { children: [] });
+
+      Book.find({ genre: { $in: subtreeIds(genre) } })
+        .sort({ title: 1 })
+        .exec((err, genre_books) => {
+          if (err) return next(err);
+
+          // Successful, so render
+          res.render('genre_detail', {
+            title: 'Genre Detail',
+            genre,
+            ancestors: ancestorsOf(results.genres, genre),
+            genre_books,
+          });
+        });
     }
   );
 };
 
-// Display Genre create form on GET.
-exports.genre_create_get = (req, res) => {
-  res.render('genre_form', {
-    title: 'Create Genre',
+// The genres a genre can be placed under: all but the genre itself and its
+// subgenres, in tree order
+const parentChoices = (genres, genre) => {
+  const node = genre && genres.find((g) => g._id.equals(genre._id));
+  const excluded = node ? subtreeIds(node) : [];
+
+  return genres.filter((g) => !excluded.some((id) => id.equals(g._id)));
+};
+
+// Render the Genre form, with the genres it can be placed under
+const renderGenreForm = (res, next, title, genre, errors) => {
+  Genre.findTree((err, genres) => {
+    if (err) return next(err);
+
+    res.render('genre_form', {
+      title,
+      genre,
+      parents: parentChoices(genres, genre),
+      errors,
+    });
   });
 };
 
-// Handle Genre create on POST.
-exports.genre_create_post = [
+// Display Genre create form on GET.
+exports.genre_create_get = (req, res, next) => {
+  renderGenreForm(res, next, 'Create Genre');
+};
+
+// Validate the parent of a submitted genre: it must exist and, when
+// updating, must not be the genre itself or one of its subgenres, which
+// would make a loop.
+const parentValidator = () =>
+  body('parent')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid parent genre.')
+    .bail()
+    .custom((value, { req }) =>
+      Genre.findById(value, 'name').then((parent) => {
+        if (parent === null) throw new Error('Parent genre not found.');
+
+        if (!mongoose.isValidObjectId(req.params.id)) return;
+
+        return new Promise((resolve, reject) => {
+          Genre.findDescendantIds(req.params.id, (err, ids) => {
+            if (err) return reject(err);
+
+            if (ids.some((id) => id.equals(value))) {
+              return reject(
+                new Error(
+                  `"${parent.name}" is this genre or one of its subgenres, so it can't be its parent.`
+                )
+              );
+            }
+
+            resolve();
+          });
+        });
+      })
+    );
+
+// Validators for Genre create. Shared with the JSON API.
+exports.genre_create_validators = [
   // Validate and sanitize the name field
   body('name', 'Genre name required').trim().isLength({ min: 1 }).escape(),
+  parentValidator(),
+];
+
+// Handle Genre create on POST.
+exports.genre_create_post = [
+  ...exports.genre_create_validators,
 
   // Process request after validation sanitization
   (req, res, next) => {
@@ -67,16 +176,14 @@ exports.genre_create_post = [
     const errors = validationResult(req);
 
     // Create a genre object with escaped and trimmed data
-    const genre = new Genre({ name: req.body.name });
+    const genre = new Genre({
+      name: req.body.name,
+      parent: req.body.parent || null,
+    });
 
     // There are errors. Render the form again with sanitized values/error messages
     if (!errors.isEmpty()) {
-      res.render('genre_form', {
-        title: 'Create Genre',
-        genre,
-        errors: errors.array(),
-      });
-
+      renderGenreForm(res, next, 'Create Genre', genre, errors.array());
       return;
     }
 
@@ -94,51 +201,84 @@ exports.genre_create_post = [
       genre.save((err) => {
         if (err) return next(err);
 
-        // Genre saved. Redirect to genre detail page
-        res.redirect(genre.url);
+        AuditEntry.record(req.user, 'Create', null, genre, (err) => {
+          if (err) return next(err);
+
+          // Genre saved. Redirect to genre detail page
+          res.redirect(genre.url);
+        });
       });
     });
   },
 ];
 
+// Render the Genre delete page: the books in the genre and what each way of
+// dealing with them would do, with the choices made so far and any errors
+const renderGenreDelete = (res, next, id, form = {}) => {
+  catalogDelete.previewGenreDelete(id, (err, plan) => {
+    if (err) return next(err);
+
+    if (plan === null) {
+      // No results
+      return res.redirect('/catalog/genres');
+    }
+
+    // Successful, so render
+    res.render('genre_delete', {
+      title: 'Delete Genre',
+      genre: plan.record,
+      books: plan.books,
+      genres: plan.genres,
+      subgenres: plan.subgenres,
+      parent: plan.parent,
+      strategy: form.strategy,
+      target: form.target,
+      errors: form.errors,
+    });
+  });
+};
+
 // Display Genre delete form on GET.
 exports.genre_delete_get = (req, res, next) => {
-  const { id } = req.params;
+  renderGenreDelete(res, next, req.params.id);
+};
 
-  async.parallel(
-    {
-      genre(callback) {
-        Genre.findById(id).exec(callback);
-      },
-      books(callback) {
-        Book.find({ genre: id }).populate('author').exec(callback);
-      },
-    },
-    (err, results) => {
-      const { genre, books } = results;
+// Handle Genre delete on POST. A genre with books is deleted with the chosen
+// strategy: it is removed from the books or replaced by another genre. Its
+// subgenres move up to its parent, all in one transaction.
+exports.genre_delete_post = [
+  body('strategy').optional({ checkFalsy: true }).trim(),
+  body('target', 'Choose a genre to reassign the books to')
+    .optional({ checkFalsy: true })
+    .isMongoId(),
 
-      if (err) return next(err);
+  (req, res, next) => {
+    const errors = validationResult(req);
+    const { genre_id, strategy, target } = req.body;
+    const form = { strategy, target, errors: errors.array() };
 
-      res.render('genre_delete', {
-        title: 'Delete Genre',
-        genre,
-        books,
-      });
+    if (!errors.isEmpty()) {
+      return renderGenreDelete(res, next, genre_id, form);
     }
-  );
-};
 
-// Handle Genre delete on POST.
-exports.genre_delete_post = (req, res, next) => {
-  const { genre_id } = req.body;
+    catalogDelete.deleteGenre(
+      genre_id,
+      strategy,
+      { target, actor: req.user },
+      (err, result) => {
+        if (err) return next(err);
 
-  Genre.findByIdAndRemove(genre_id, (err) => {
-    if (err) return next(err);
+        if (result && result.error) {
+          form.errors = [{ msg: result.error }];
+          return renderGenreDelete(res, next, genre_id, form);
+        }
 
-    // Success go to genres list
-    res.redirect('/catalog/genres');
-  });
-};
+        // Success go to genres list
+        res.redirect('/catalog/genres');
+      }
+    );
+  },
+];
 
 // Display Genre update form on GET.
 exports.genre_update_get = (req, res, next) => {
@@ -155,17 +295,20 @@ exports.genre_update_get = (req, res, next) => {
     }
 
     // Success
-    res.render('genre_form', {
-      title: 'Update Genre',
-      genre,
-    });
+    renderGenreForm(res, next, 'Update Genre', genre);
   });
 };
 
-// Handle Genre update on POST.
-exports.genre_update_post = [
+// Validators for Genre update. Shared with the JSON API.
+exports.genre_update_validators = [
   // Validate and sanitize the name field
   body('name', 'Genre name required').trim().isLength({ min: 1 }).escape(),
+  parentValidator(),
+];
+
+// Handle Genre update on POST.
+exports.genre_update_post = [
+  ...exports.genre_update_validators,
 
   // Process request after validation sanitization
   (req, res, next) => {
@@ -173,27 +316,23 @@ exports.genre_update_post = [
     const errors = validationResult(req);
 
     const { id } = req.params;
-    const { name } = req.body;
+    const { name, parent } = req.body;
 
     // Create a genre object with escaped and trimmed data and old id.
     const genre = new Genre({
       name,
+      parent: parent || null,
       _id: id, // This is required or a new ID will be assigned!
     });
 
     // There are errors. Render the form again with sanitized values/error messages
     if (!errors.isEmpty()) {
-      res.render('genre_form', {
-        title: 'Update Genre',
-        genre,
-        errors: errors.array(),
-      });
-
+      renderGenreForm(res, next, 'Update Genre', genre, errors.array());
       return;
     }
 
-    // Check if Genre with same name already exists
-    Genre.findOne({ name }).exec((err, found_genre) => {
+    // Check if another Genre with same name already exists
+    Genre.findOne({ name, _id: { $ne: id } }).exec((err, found_genre) => {
       if (err) return next(err);
 
       if (found_genre) {
@@ -204,11 +343,7 @@ exports.genre_update_post = [
           const error = new Error();
           error.msg = 'A genre with this name already exists!';
 
-          res.render('genre_form', {
-            title: 'Update Genre',
-            genre,
-            errors: [error],
-          });
+          renderGenreForm(res, next, 'Update Genre', genre, [error]);
         });
 
         return;
@@ -218,8 +353,13 @@ exports.genre_update_post = [
       Genre.findByIdAndUpdate(id, genre, (err, updatedGenre) => {
         if (err) return next(err);
 
-        // Successful: redirect to genre detail page
-        res.redirect(updatedGenre.url);
+        // updatedGenre is the genre as it was before the update
+        AuditEntry.record(req.user, 'Update', updatedGenre, genre, (err) => {
+          if (err) return next(err);
+
+          // Successful: redirect to genre detail page
+          res.redirect(updatedGenre.url);
+        });
       });
     });
   },
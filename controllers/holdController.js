@@ -0,0 +1,140 @@
+const async = require('async');
+const Hold = require('../models/hold');
+const Book = require('../models/book');
+const BookInstance = require('../models/bookInstance');
+
+// Display list of all active Holds.
+exports.hold_list = (req, res, next) => {
+  async.parallel(
+    {
+      ready_holds(callback) {
+        Hold.find({ status: 'Ready' })
+          .sort({ pickup_by: 1 })
+          .populate(['book', 'patron', 'book_instance'])
+          .exec(callback);
+      },
+      waiting_holds(callback) {
+        Hold.find({ status: 'Waiting' })
+          .sort({ placed: 1 })
+          .populate(['book', 'patron'])
+          .exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      // Successful, so render
+      res.render('hold_list', {
+        title: 'Holds',
+        ready_holds: results.ready_holds,
+        waiting_holds: results.waiting_holds,
+      });
+    }
+  );
+};
+
+// Handle placing a Hold on a Book on POST.
+exports.hold_create_post = (req, res, next) => {
+  const { id } = req.params;
+
+  async.parallel(
+    {
+      book(callback) {
+        Book.findById(id).exec(callback);
+      },
+      available_count(callback) {
+        BookInstance.countDocuments(
+          { book: id, status: 'Available' },
+          callback
+        );
+      },
+      existing_hold(callback) {
+        Hold.findOne({
+          book: id,
+          patron: req.user._id,
+          status: { $in: ['Waiting', 'Ready'] },
+        }).exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      const { book, available_count, existing_hold } = results;
+
+      if (book === null) {
+        // No results
+        const err = new Error('Book not found!');
+        err.status = 404;
+        return next(err);
+      }
+
+      // Already in the queue, nothing to do
+      if (existing_hold) return res.redirect(book.url);
+
+      if (available_count > 0) {
+        const err = new Error(
+          'A copy of this book is available, so no hold is needed.'
+        );
+        err.status = 409;
+        return next(err);
+      }
+
+      const hold = new Hold({ book: book._id, patron: req.user._id });
+
+      hold.save((err) => {
+        if (err) return next(err);
+
+        // Successful: redirect to the book's detail page
+        res.redirect(book.url);
+      });
+    }
+  );
+};
+
+// Handle cancelling a Hold on POST.
+exports.hold_cancel_post = (req, res, next) => {
+  Hold.findById(req.params.id)
+    .populate('book')
+    .exec((err, hold) => {
+      if (err) return next(err);
+
+      if (hold === null) {
+        // No results
+        const err = new Error('Hold not found!');
+        err.status = 404;
+        return next(err);
+      }
+
+      // Patrons can cancel their own holds, staff can cancel anybody's
+      if (!hold.patron.equals(req.user._id) && !req.user.hasRole('librarian')) {
+        const err = new Error('You can only cancel your own holds!');
+        err.status = 403;
+        return next(err);
+      }
+
+      if (!hold.is_active) return res.redirect(hold.book.url);
+
+      const wasReady = hold.status === 'Ready';
+
+      hold.status = 'Cancelled';
+      hold.save((err) => {
+        if (err) return next(err);
+
+        // A copy set aside for this hold goes on to the next patron
+        if (!wasReady) return res.redirect(hold.book.url);
+
+        BookInstance.findById(hold.book_instance).exec((err, bookInstance) => {
+          if (err) return next(err);
+
+          if (bookInstance === null) return res.redirect(hold.book.url);
+
+          Hold.assignCopy(bookInstance, (err) => {
+            if (err) return next(err);
+
+            // Successful: redirect to the book's detail page
+            res.redirect(hold.book.url);
+          });
+        });
+      });
+    });
+};
@@ -0,0 +1,155 @@
+const async = require('async');
+const crypto = require('crypto');
+const multer = require('multer');
+const catalogImport = require('../lib/catalogImport');
+const { imports } = require('../config');
+const { createStorage } = require('../storage');
+
+// Import files are read into memory, so keep them to a sensible size
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+}).single('file');
+
+// Where files are kept between the preview and the import. The session only
+// holds the key.
+const storage = createStorage(imports);
+
+// Remove the file kept for an earlier preview, if any
+const removePending = (req, callback) => {
+  const pending = req.session.catalogImport;
+
+  delete req.session.catalogImport;
+
+  if (!pending || !pending.key) return callback(null);
+
+  storage.remove(pending.key, callback);
+};
+
+// Render the import form again with an error
+const renderForm = (res, errors) => {
+  res.render('import_form', {
+    title: 'Import books',
+    columns: catalogImport.COLUMNS,
+    extensions: Object.keys(catalogImport.FORMATS),
+    errors,
+  });
+};
+
+// Books matched by ISBN are updated from MARC records, which describe the
+// whole book. CSV rows only add copies to them. Changes are recorded in the
+// audit log under the signed in user.
+const importOptions = (req, format) => ({
+  update: format !== 'csv',
+  actor: req.user,
+});
+
+// Display the import form.
+exports.import_get = (req, res) => {
+  renderForm(res);
+};
+
+// Handle an uploaded CSV or MARC file on POST: check it without changing the
+// catalog and show what importing it would do. The file is kept in the
+// storage until the import is confirmed.
+exports.import_post = [
+  (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return renderForm(res, [{ msg: err.message }]);
+      }
+
+      next(err);
+    });
+  },
+
+  (req, res, next) => {
+    if (!req.file)
+      return renderForm(res, [{ msg: 'Choose a file to import.' }]);
+
+    const { originalname, buffer } = req.file;
+    const { format, records, error } = catalogImport.readRecords(
+      buffer,
+      originalname
+    );
+
+    if (error) return renderForm(res, [{ msg: error }]);
+
+    catalogImport.planImport(
+      records,
+      importOptions(req, format),
+      (err, plan) => {
+        if (err) return next(err);
+
+        if (plan.error) return renderForm(res, [{ msg: plan.error }]);
+
+        const key = `import-${crypto.randomBytes(16).toString('hex')}`;
+
+        async.series(
+          [
+            (callback) => removePending(req, callback),
+            (callback) => storage.save(key, buffer, callback),
+          ],
+          (err) => {
+            if (err) return next(err);
+
+            req.session.catalogImport = { file_name: originalname, key };
+
+            res.render('import_preview', {
+              title: `Import preview: ${originalname}`,
+              plan,
+            });
+          }
+        );
+      }
+    );
+  },
+];
+
+// Handle import confirmation on POST: import the file kept from the preview.
+exports.import_commit_post = (req, res, next) => {
+  const pending = req.session.catalogImport;
+
+  if (!pending || !pending.key) return res.redirect('/catalog/import');
+
+  storage.read(pending.key, (err, buffer) => {
+    if (err) return next(err);
+
+    if (buffer === null) {
+      delete req.session.catalogImport;
+
+      return renderForm(res, [
+        { msg: 'The file to import is gone. Upload it again.' },
+      ]);
+    }
+
+    const { format, records, error } = catalogImport.readRecords(
+      buffer,
+      pending.file_name
+    );
+
+    if (error) return renderForm(res, [{ msg: error }]);
+
+    catalogImport.runImport(
+      records,
+      importOptions(req, format),
+      (err, plan) => {
+        if (err) return next(err);
+
+        removePending(req, (err) => {
+          if (err) return next(err);
+
+          if (plan.error) return renderForm(res, [{ msg: plan.error }]);
+
+          res.render('import_preview', {
+            title: `Imported: ${pending.file_name}`,
+            plan,
+            committed: true,
+          });
+        });
+      }
+    );
+  });
+};
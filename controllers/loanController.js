@@ -0,0 +1,275 @@
+const async = require('async');
+const { DateTime } = require('luxon');
+const Loan = require('../models/loan');
+const Hold = require('../models/hold');
+const Transaction = require('../models/transaction');
+const BookInstance = require('../models/bookInstance');
+const User = require('../models/user');
+const { loanPeriodDays, fines } = require('../config');
+const { body, validationResult } = require('express-validator');
+
+// Display list of all open Loans.
+exports.loan_list = (req, res, next) => {
+  Loan.find({ returned: null })
+    .sort({ due_back: 1 })
+    .populate([
+      'book',
+      { path: 'book_instance', populate: { path: 'edition' } },
+      'patron',
+    ])
+    .exec((err, loan_list) => {
+      if (err) return next(err);
+
+      // Successful, so render
+      res.render('loan_list', {
+        title: 'Current Loans',
+        loan_list,
+      });
+    });
+};
+
+// Display checkout form for a BookInstance on GET.
+exports.loan_checkout_get = (req, res, next) => {
+  async.parallel(
+    {
+      bookInstance(callback) {
+        BookInstance.findById(req.params.id)
+          .populate(['book', 'edition'])
+          .exec(callback);
+      },
+      patrons(callback) {
+        User.find().sort({ family_name: 1, first_name: 1 }).exec(callback);
+      },
+      hold(callback) {
+        Hold.findOne({ book_instance: req.params.id, status: 'Ready' })
+          .populate('patron')
+          .exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      const { bookInstance, patrons, hold } = results;
+
+      if (bookInstance === null) {
+        // No results
+        const err = new Error('Book copy not found!');
+        err.status = 404;
+        return next(err);
+      }
+
+      // Success
+      res.render('loan_form', {
+        title: 'Check Out Copy',
+        bookInstance,
+        patrons,
+        hold,
+        selected_patron: hold ? hold.patron._id.toString() : undefined,
+        loan_period: loanPeriodDays,
+      });
+    }
+  );
+};
+
+// Handle checkout of a BookInstance on POST.
+exports.loan_checkout_post = [
+  // Validate and sanitize fields
+  body('patron', 'Patron must be specified').trim().isMongoId(),
+
+  // Process request after validation and sanitization
+  (req, res, next) => {
+    // Extract the validation errors from a request
+    const errors = validationResult(req);
+    const { id } = req.params;
+    const { patron } = req.body;
+
+    // Render the form again with the given error messages
+    const renderForm = (errorList) => {
+      async.parallel(
+        {
+          bookInstance(callback) {
+            BookInstance.findById(id)
+              .populate(['book', 'edition'])
+              .exec(callback);
+          },
+          patrons(callback) {
+            User.find().sort({ family_name: 1, first_name: 1 }).exec(callback);
+          },
+          hold(callback) {
+            Hold.findOne({ book_instance: id, status: 'Ready' })
+              .populate('patron')
+              .exec(callback);
+          },
+        },
+        (err, results) => {
+          if (err) return next(err);
+
+          res.render('loan_form', {
+            title: 'Check Out Copy',
+            bookInstance: results.bookInstance,
+            patrons: results.patrons,
+            hold: results.hold,
+            selected_patron: patron,
+            loan_period: loanPeriodDays,
+            errors: errorList,
+          });
+        }
+      );
+    };
+
+    if (!errors.isEmpty()) return renderForm(errors.array());
+
+    async.parallel(
+      {
+        found_patron(callback) {
+          User.findById(patron).exec(callback);
+        },
+        hold(callback) {
+          Hold.findOne({ book_instance: id, status: 'Ready' }).exec(callback);
+        },
+        balance(callback) {
+          Transaction.balanceFor(patron, callback);
+        },
+      },
+      (err, results) => {
+        if (err) return next(err);
+
+        const { found_patron, hold, balance } = results;
+
+        if (found_patron === null) {
+          const error = new Error();
+          error.msg = 'Patron not found!';
+          return renderForm([error]);
+        }
+
+        // Patrons who owe too much have to settle their account first
+        if (balance >= fines.blockThreshold) {
+          const error = new Error();
+          error.msg = `This patron owes ${Transaction.formatAmount(
+            balance
+          )} and can't check out until the account is settled.`;
+          return renderForm([error]);
+        }
+
+        // A reserved copy can only go to the patron who placed the hold
+        if (hold && !hold.patron.equals(found_patron._id)) {
+          const error = new Error();
+          error.msg = 'This copy is reserved for another patron.';
+          return renderForm([error]);
+        }
+
+        const shelfStatus = hold ? 'Reserved' : 'Available';
+        const due_back = DateTime.now()
+          .plus({ days: loanPeriodDays })
+          .endOf('day')
+          .toJSDate();
+
+        // Doing the status check and change in a single update stops two
+        // checkouts racing.
+        BookInstance.findOneAndUpdate(
+          { _id: id, status: shelfStatus },
+          { status: 'Loaned', due_back },
+          { new: true },
+          (err, bookInstance) => {
+            if (err) return next(err);
+
+            if (bookInstance === null) {
+              const error = new Error();
+              error.msg = 'This copy is not available for checkout.';
+              return renderForm([error]);
+            }
+
+            const loan = new Loan({
+              book_instance: bookInstance._id,
+              book: bookInstance.book,
+              patron: found_patron._id,
+              due_back,
+              checked_out_by: req.user._id,
+            });
+
+            loan.save((err) => {
+              if (err) {
+                // Put the copy back where it was so it isn't stuck as Loaned
+                return BookInstance.findByIdAndUpdate(
+                  id,
+                  {
+                    status: shelfStatus,
+                    due_back: hold ? hold.pickup_by : Date.now(),
+                  },
+                  () => next(err)
+                );
+              }
+
+              // Without a hold there is nothing more to do
+              if (!hold) return res.redirect(bookInstance.url);
+
+              hold.status = 'Fulfilled';
+              hold.save((err) => {
+                if (err) return next(err);
+
+                // Successful: redirect to the copy's detail page
+                res.redirect(bookInstance.url);
+              });
+            });
+          }
+        );
+      }
+    );
+  },
+];
+
+// Handle check-in of a BookInstance on POST.
+exports.loan_checkin_post = (req, res, next) => {
+  const { id } = req.params;
+
+  Loan.findOneAndUpdate(
+    { book_instance: id, returned: null },
+    { returned: Date.now(), checked_in_by: req.user._id },
+    { new: true },
+    (err, loan) => {
+      if (err) return next(err);
+
+      if (loan === null) {
+        const err = new Error('This copy is not checked out!');
+        err.status = 409;
+        return next(err);
+      }
+
+      // Charge the patron if the copy came back late
+      const chargeFine = (callback) => {
+        const amount = loan.calculateFine();
+
+        if (amount === 0) return callback();
+
+        const fine = new Transaction({
+          patron: loan.patron,
+          type: 'Fine',
+          amount,
+          loan: loan._id,
+          note: `Returned ${loan.daysOverdue()} day(s) late`,
+          recorded_by: req.user._id,
+        });
+        fine.save((err) => callback(err));
+      };
+
+      chargeFine((err) => {
+        if (err) return next(err);
+
+        BookInstance.findById(id).exec((err, bookInstance) => {
+          if (err) return next(err);
+
+          // The copy was deleted while on loan, so go back to the loans
+          if (bookInstance === null) return res.redirect('/catalog/loans');
+
+          // Set the copy aside for the next hold, or put it back on the shelf
+          Hold.assignCopy(bookInstance, (err) => {
+            if (err) return next(err);
+
+            // Successful: redirect to the copy's detail page
+            res.redirect(bookInstance.url);
+          });
+        });
+      });
+    }
+  );
+};
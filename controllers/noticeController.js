@@ -0,0 +1,18 @@
+const Notice = require('../models/notice');
+
+// Display list of recent Notices in the mail outbox.
+exports.notice_list = (req, res, next) => {
+  Notice.find()
+    .sort({ created: -1 })
+    .limit(200)
+    .populate('patron')
+    .exec((err, notice_list) => {
+      if (err) return next(err);
+
+      // Successful, so render
+      res.render('notice_list', {
+        title: 'Notices',
+        notice_list,
+      });
+    });
+};
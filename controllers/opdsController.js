@@ -0,0 +1,320 @@
+const async = require('async');
+const querystring = require('querystring');
+const createError = require('http-errors');
+const { unescape } = require('validator');
+const Book = require('../models/book');
+const Author = require('../models/author');
+const Genre = require('../models/genre');
+const book_controller = require('./bookController');
+const author_controller = require('./authorController');
+const genre_controller = require('./genreController');
+const { parseListQuery } = require('../lib/pagination');
+const isbn = require('../lib/isbn');
+
+// OPDS 1.2 content types of the two kinds of catalog feed
+const NAVIGATION = 'application/atom+xml;profile=opds-catalog;kind=navigation';
+const ACQUISITION =
+  'application/atom+xml;profile=opds-catalog;kind=acquisition';
+const OPENSEARCH = 'application/opensearchdescription+xml';
+
+// Feed and entry ids are URNs made from our ids
+const urn = (...parts) => ['urn', 'locallibrary', ...parts].join(':');
+
+// Text is stored escaped for HTML, the feed templates escape it for XML
+const text = (value) => (value ? unescape(value) : '');
+
+// Links every feed has: to itself, the root feed and the search description
+const feedLinks = (req, type) => [
+  { rel: 'self', href: `${req.baseUrl}${req.url}`, type },
+  { rel: 'start', href: req.baseUrl, type: NAVIGATION },
+  { rel: 'up', href: req.baseUrl, type: NAVIGATION },
+  { rel: 'search', href: `${req.baseUrl}/opensearch.xml`, type: OPENSEARCH },
+];
+
+// first/previous/next/last links of a paged feed, and its OpenSearch counts
+const pageLinks = (req, listQuery, total, type) => {
+  const { page, limit } = listQuery;
+  const pages = Math.max(1, Math.ceil(total / limit));
+  const urlFor = (n) =>
+    `${req.baseUrl}${req.path}?${querystring.stringify({
+      ...req.query,
+      page: n,
+    })}`;
+  const links = [{ rel: 'first', href: urlFor(1), type }];
+
+  if (page > 1) links.push({ rel: 'previous', href: urlFor(page - 1), type });
+  if (page < pages) links.push({ rel: 'next', href: urlFor(page + 1), type });
+  links.push({ rel: 'last', href: urlFor(pages), type });
+
+  return {
+    links,
+    counts: { total, limit, start: listQuery.skip + 1 },
+  };
+};
+
+// Atom people for the book's contributors with the roles in roles
+const people = (book, roles) =>
+  book.contributors
+    .filter(
+      (contributor) => contributor.author && roles.includes(contributor.role)
+    )
+    .map(({ author }) => ({ name: text(author.name), uri: author.url }));
+
+// An acquisition feed entry for a book with its contributors and genres
+// populated. Authors and co-authors are the entry's authors, the others its
+// contributors. We lend printed copies, so the acquisition link is the
+// book's page, where patrons can place a hold.
+const bookEntry = (book) => ({
+  id: urn('book', book._id),
+  title: text(book.title),
+  updated: book._id.getTimestamp().toISOString(),
+  authors: people(book, ['Author', 'Co-author']),
+  contributors: people(book, ['Editor', 'Translator', 'Illustrator']),
+  summary: text(book.summary),
+  identifier: book.isbn ? `urn:isbn:${book.isbn}` : null,
+  categories: (book.genre || []).map((genre) => text(genre.name)),
+  links: [
+    { rel: 'alternate', href: book.url, type: 'text/html' },
+    {
+      rel: 'http://opds-spec.org/acquisition/borrow',
+      href: book.url,
+      type: 'text/html',
+    },
+  ],
+});
+
+// A navigation feed entry pointing at another feed
+const navigationEntry = (id, title, href, content, type) => ({
+  id,
+  title,
+  updated: new Date().toISOString(),
+  content,
+  links: [{ rel: 'subsection', href, type }],
+});
+
+const renderFeed = (res, type, feed) => {
+  res.type(type);
+  res.render('opds/feed', { updated: new Date().toISOString(), ...feed });
+};
+
+// Render a paged acquisition feed of the books matching filter
+const renderBookFeed = (req, res, next, feed, filter) => {
+  const listQuery = parseListQuery(req.query, book_controller.BOOK_SORT_FIELDS);
+
+  async.parallel(
+    {
+      books(callback) {
+        Book.find(filter)
+          .sort(listQuery.sort)
+          .skip(listQuery.skip)
+          .limit(listQuery.limit)
+          .populate(['contributors.author', 'genre'])
+          .exec(callback);
+      },
+      total(callback) {
+        Book.countDocuments(filter, callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      const paging = pageLinks(req, listQuery, results.total, ACQUISITION);
+
+      renderFeed(res, ACQUISITION, {
+        ...feed,
+        links: [...feedLinks(req, ACQUISITION), ...paging.links],
+        counts: paging.counts,
+        entries: results.books.map(bookEntry),
+      });
+    }
+  );
+};
+
+// Root navigation feed.
+exports.opds_root = (req, res) => {
+  const base = req.baseUrl;
+
+  renderFeed(res, NAVIGATION, {
+    id: urn('catalog'),
+    title: 'LocalLibrary catalog',
+    links: feedLinks(req, NAVIGATION),
+    entries: [
+      navigationEntry(
+        urn('books'),
+        'All books',
+        `${base}/books`,
+        'Every book in the library, by title.',
+        ACQUISITION
+      ),
+      navigationEntry(
+        urn('genres'),
+        'By genre',
+        `${base}/genres`,
+        'Browse the books of a genre.',
+        NAVIGATION
+      ),
+      navigationEntry(
+        urn('authors'),
+        'By author',
+        `${base}/authors`,
+        'Browse the books of an author.',
+        NAVIGATION
+      ),
+    ],
+  });
+};
+
+// Acquisition feed of all books.
+exports.opds_books = (req, res, next) => {
+  renderBookFeed(req, res, next, { id: urn('books'), title: 'All books' }, {});
+};
+
+// Navigation feed of genres, each leading to its books.
+exports.opds_genres = (req, res, next) => {
+  const listQuery = parseListQuery(
+    req.query,
+    genre_controller.GENRE_SORT_FIELDS
+  );
+
+  async.parallel(
+    {
+      genres(callback) {
+        Genre.find()
+          .sort(listQuery.sort)
+          .skip(listQuery.skip)
+          .limit(listQuery.limit)
+          .exec(callback);
+      },
+      total(callback) {
+        Genre.countDocuments({}, callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      const paging = pageLinks(req, listQuery, results.total, NAVIGATION);
+
+      renderFeed(res, NAVIGATION, {
+        id: urn('genres'),
+        title: 'Books by genre',
+        links: [...feedLinks(req, NAVIGATION), ...paging.links],
+        counts: paging.counts,
+        entries: results.genres.map((genre) =>
+          navigationEntry(
+            urn('genre', genre._id),
+            text(genre.name),
+            `${req.baseUrl}/genres/${genre._id}`,
+            `Books filed under ${text(genre.name)}.`,
+            ACQUISITION
+          )
+        ),
+      });
+    }
+  );
+};
+
+// Acquisition feed of the books of a genre.
+exports.opds_genre = (req, res, next) => {
+  Genre.findById(req.params.id).exec((err, genre) => {
+    if (err) return next(err);
+
+    if (genre === null) return next(createError(404, 'Genre not found'));
+
+    renderBookFeed(
+      req,
+      res,
+      next,
+      { id: urn('genre', genre._id), title: text(genre.name) },
+      { genre: genre._id }
+    );
+  });
+};
+
+// Navigation feed of authors, each leading to their books.
+exports.opds_authors = (req, res, next) => {
+  const listQuery = parseListQuery(
+    req.query,
+    author_controller.AUTHOR_SORT_FIELDS
+  );
+
+  async.parallel(
+    {
+      authors(callback) {
+        Author.find()
+          .sort(listQuery.sort)
+          .skip(listQuery.skip)
+          .limit(listQuery.limit)
+          .exec(callback);
+      },
+      total(callback) {
+        Author.countDocuments({}, callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      const paging = pageLinks(req, listQuery, results.total, NAVIGATION);
+
+      renderFeed(res, NAVIGATION, {
+        id: urn('authors'),
+        title: 'Books by author',
+        links: [...feedLinks(req, NAVIGATION), ...paging.links],
+        counts: paging.counts,
+        entries: results.authors.map((author) =>
+          navigationEntry(
+            urn('author', author._id),
+            text(author.name),
+            `${req.baseUrl}/authors/${author._id}`,
+            `Books by ${text(author.name)}.`,
+            ACQUISITION
+          )
+        ),
+      });
+    }
+  );
+};
+
+// Acquisition feed of the books of an author.
+exports.opds_author = (req, res, next) => {
+  Author.findById(req.params.id).exec((err, author) => {
+    if (err) return next(err);
+
+    if (author === null) return next(createError(404, 'Author not found'));
+
+    renderBookFeed(
+      req,
+      res,
+      next,
+      { id: urn('author', author._id), title: text(author.name) },
+      { 'contributors.author': author._id }
+    );
+  });
+};
+
+// Acquisition feed of the books matching the ?q= search terms, by title,
+// summary or ISBN, in either ISBN form.
+exports.opds_search = (req, res, next) => {
+  // Only the first of a repeated ?q= is searched for
+  const q = String([].concat(req.query.q)[0] || '').trim();
+  const isbn13 = isbn.toIsbn13(q);
+  const filter = isbn13 ? { isbn: isbn13 } : { $text: { $search: q } };
+
+  renderBookFeed(
+    req,
+    res,
+    next,
+    { id: urn('search', encodeURIComponent(q)), title: `Search: ${q}` },
+    q ? filter : { _id: null }
+  );
+};
+
+// OpenSearch description, telling reading apps how to search the catalog.
+exports.opds_opensearch = (req, res) => {
+  res.type(OPENSEARCH);
+  res.render('opds/opensearch', {
+    template: `${req.protocol}://${req.get('host')}${
+      req.baseUrl
+    }/search?q={searchTerms}&page={startPage?}`,
+    type: ACQUISITION,
+  });
+};
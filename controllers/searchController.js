@@ -0,0 +1,97 @@
+const async = require('async');
+const Book = require('../models/book');
+const Author = require('../models/author');
+const Genre = require('../models/genre');
+const Series = require('../models/series');
+const BookInstance = require('../models/bookInstance');
+const { searchTerms, highlight } = require('../lib/highlight');
+const { groupBySeries } = require('../lib/seriesGroups');
+
+// Most results shown for each type of record
+const RESULT_LIMIT = 25;
+
+// Longest piece of a book summary shown in the results
+const SUMMARY_LENGTH = 200;
+
+// Run a text search on a model, best matches first
+const textSearch = (Model, q) =>
+  Model.find({ $text: { $search: q } }, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(RESULT_LIMIT);
+
+// Display catalog search results for the ?q= query, grouped by type. With
+// ?group=series the matching books are grouped by their series. A copy's
+// barcode, such as one scanned into the search box, goes to the copy.
+exports.search = (req, res, next) => {
+  // Only the first of a repeated ?q= is searched for
+  const q = String([].concat(req.query.q)[0] || '').trim();
+  const grouped = req.query.group === 'series';
+
+  if (!q) {
+    return res.render('search', { title: 'Search', q, results: null });
+  }
+
+  async.parallel(
+    {
+      books(callback) {
+        textSearch(Book, q)
+          .populate(['contributors.author', 'series'])
+          .exec(callback);
+      },
+      isbn_book(callback) {
+        // ISBNs are stored as ISBN-13, so look up ISBN-10s directly. The
+        // ISBN of an edition finds its book.
+        Book.findByIsbn(q, (err, book) => {
+          if (err || book === null) return callback(err, book);
+
+          book.populate(['contributors.author', 'series'], callback);
+        });
+      },
+      authors(callback) {
+        textSearch(Author, q).exec(callback);
+      },
+      genres(callback) {
+        textSearch(Genre, q).exec(callback);
+      },
+      series(callback) {
+        textSearch(Series, q).exec(callback);
+      },
+      barcode_copy(callback) {
+        BookInstance.findByBarcode(q, callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      if (results.barcode_copy) return res.redirect(results.barcode_copy.url);
+
+      const terms = searchTerms(q);
+
+      // An exact ISBN match comes first
+      const { isbn_book } = results;
+
+      if (
+        isbn_book &&
+        !results.books.some((book) => book._id.equals(isbn_book._id))
+      ) {
+        results.books.unshift(isbn_book);
+      }
+
+      // Successful, so render
+      res.render('search', {
+        title: `Search results for "${q}"`,
+        q,
+        results,
+        result_count:
+          results.books.length +
+          results.authors.length +
+          results.genres.length +
+          results.series.length,
+        grouped,
+        book_groups: groupBySeries(results.books),
+        mark: (text, maxLength) => highlight(text, terms, maxLength),
+        summary_length: SUMMARY_LENGTH,
+      });
+    }
+  );
+};
@@ -0,0 +1,316 @@
+const Series = require('../models/series');
+const Book = require('../models/book');
+const BookInstance = require('../models/bookInstance');
+const AuditEntry = require('../models/auditEntry');
+const async = require('async');
+const { body, validationResult } = require('express-validator');
+const { parseListQuery, buildPagination } = require('../lib/pagination');
+const catalogDelete = require('../lib/catalogDelete');
+
+// Fields the series list can be sorted by. The first one is the default.
+const SERIES_SORT_FIELDS = {
+  name: { path: 'name', label: 'Name' },
+};
+exports.SERIES_SORT_FIELDS = SERIES_SORT_FIELDS;
+
+// Display list of all Series.
+exports.series_list = (req, res, next) => {
+  const listQuery = parseListQuery(req.query, SERIES_SORT_FIELDS);
+
+  async.parallel(
+    {
+      series_list(callback) {
+        Series.find()
+          .sort(listQuery.sort)
+          .skip(listQuery.skip)
+          .limit(listQuery.limit)
+          .exec(callback);
+      },
+      total(callback) {
+        Series.countDocuments({}, callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      // Successful, so render
+      res.render('series_list', {
+        title: 'Series List',
+        series_list: results.series_list,
+        pagination: buildPagination(
+          req,
+          listQuery,
+          results.total,
+          SERIES_SORT_FIELDS
+        ),
+      });
+    }
+  );
+};
+
+// Count the copies of each book and those on the shelf. Calls back with a
+// map from book id to { total, available }.
+const copyCounts = (books, callback) => {
+  BookInstance.aggregate([
+    { $match: { book: { $in: books.map((book) => book._id) } } },
+    {
+      $group: {
+        _id: '$book',
+        total: { $sum: 1 },
+        available: {
+          $sum: { $cond: [{ $eq: ['$status', 'Available'] }, 1, 0] },
+        },
+      },
+    },
+  ]).exec((err, counts) => {
+    if (err) return callback(err);
+
+    callback(null, new Map(counts.map((count) => [String(count._id), count])));
+  });
+};
+
+// Display detail page for a specific Series: its volumes in order, with how
+// many copies of each are on the shelf.
+exports.series_detail = (req, res, next) => {
+  async.parallel(
+    {
+      series(callback) {
+        Series.findById(req.params.id).exec(callback);
+      },
+      volumes(callback) {
+        Book.find({ series: req.params.id })
+          .sort({ volume: 1, _id: 1 })
+          .populate('contributors.author')
+          .exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      // No results
+      if (results.series === null) {
+        const err = new Error('Series not found');
+        err.status = 404;
+        return next(err);
+      }
+
+      copyCounts(results.volumes, (err, counts) => {
+        if (err) return next(err);
+
+        // Successful, so render
+        res.render('series_detail', {
+          title: 'Series Detail',
+          series: results.series,
+          volumes: results.volumes.map((book) => ({
+            book,
+            copies: counts.get(String(book._id)) || { total: 0, available: 0 },
+          })),
+        });
+      });
+    }
+  );
+};
+
+// Display Series create form on GET.
+exports.series_create_get = (req, res) => {
+  res.render('series_form', {
+    title: 'Create Series',
+  });
+};
+
+// Validators for Series create and update.
+const seriesValidators = () => [
+  body('name', 'Series name required').trim().isLength({ min: 1 }).escape(),
+  body('description').optional({ checkFalsy: true }).trim().escape(),
+];
+
+// Handle Series create on POST.
+exports.series_create_post = [
+  ...seriesValidators(),
+
+  // Process request after validation and sanitization
+  (req, res, next) => {
+    // Extract the validation errors from a request
+    const errors = validationResult(req);
+    const { name, description } = req.body;
+
+    // Create a series object with escaped and trimmed data
+    const series = new Series({ name, description });
+
+    // There are errors. Render the form again with sanitized values/error messages
+    if (!errors.isEmpty()) {
+      res.render('series_form', {
+        title: 'Create Series',
+        series,
+        errors: errors.array(),
+      });
+
+      return;
+    }
+
+    // Data from form is valid
+    // Check if a Series with same name already exists
+    Series.findOne({ name }).exec((err, found_series) => {
+      if (err) return next(err);
+
+      // Series exists, redirect to its detail page
+      if (found_series) {
+        res.redirect(found_series.url);
+        return;
+      }
+
+      series.save((err) => {
+        if (err) return next(err);
+
+        AuditEntry.record(req.user, 'Create', null, series, (err) => {
+          if (err) return next(err);
+
+          // Series saved. Redirect to series detail page
+          res.redirect(series.url);
+        });
+      });
+    });
+  },
+];
+
+// Render the Series delete page: the volumes, which leave the series when it
+// is deleted, with the choice made so far and any errors
+const renderSeriesDelete = (res, next, id, form = {}) => {
+  catalogDelete.previewSeriesDelete(id, (err, plan) => {
+    if (err) return next(err);
+
+    if (plan === null) {
+      // No results
+      return res.redirect('/catalog/series');
+    }
+
+    // Successful, so render
+    res.render('series_delete', {
+      title: 'Delete Series',
+      series: plan.record,
+      books: plan.books,
+      strategy: form.strategy,
+      errors: form.errors,
+    });
+  });
+};
+
+// Display Series delete form on GET.
+exports.series_delete_get = (req, res, next) => {
+  renderSeriesDelete(res, next, req.params.id);
+};
+
+// Handle Series delete on POST. A series with volumes is only deleted when
+// they are to leave it, in one transaction.
+exports.series_delete_post = [
+  body('strategy').optional({ checkFalsy: true }).trim(),
+
+  (req, res, next) => {
+    const { series_id, strategy } = req.body;
+
+    catalogDelete.deleteSeries(
+      series_id,
+      strategy,
+      { actor: req.user },
+      (err, result) => {
+        if (err) return next(err);
+
+        if (result && result.error) {
+          return renderSeriesDelete(res, next, series_id, {
+            strategy,
+            errors: [{ msg: result.error }],
+          });
+        }
+
+        // Success - go to series list
+        res.redirect('/catalog/series');
+      }
+    );
+  },
+];
+
+// Display Series update form on GET.
+exports.series_update_get = (req, res, next) => {
+  Series.findById(req.params.id, (err, series) => {
+    if (err) return next(err);
+
+    if (series === null) {
+      // No series found
+      const err = new Error('Series not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    // Success
+    res.render('series_form', {
+      title: 'Update Series',
+      series,
+    });
+  });
+};
+
+// Handle Series update on POST.
+exports.series_update_post = [
+  ...seriesValidators(),
+
+  // Process request after validation and sanitization
+  (req, res, next) => {
+    // Extract the validation errors from request
+    const errors = validationResult(req);
+
+    const { id } = req.params;
+    const { name, description } = req.body;
+
+    // Create a series object with escaped and trimmed data and old id.
+    const series = new Series({
+      name,
+      description,
+      _id: id, // This is required or a new ID will be assigned!
+    });
+
+    // There are errors. Render the form again with sanitized values/error messages
+    if (!errors.isEmpty()) {
+      res.render('series_form', {
+        title: 'Update Series',
+        series,
+        errors: errors.array(),
+      });
+
+      return;
+    }
+
+    // Check if another Series with same name already exists
+    Series.findOne({ name, _id: { $ne: id } }).exec((err, found_series) => {
+      if (err) return next(err);
+
+      if (found_series) {
+        res.render('series_form', {
+          title: 'Update Series',
+          series,
+          errors: [{ msg: 'A series with this name already exists!' }],
+        });
+
+        return;
+      }
+
+      // Data from form is valid. Update the record.
+      Series.findByIdAndUpdate(id, series, (err, updatedSeries) => {
+        if (err) return next(err);
+
+        if (updatedSeries === null) {
+          const err = new Error('Series not found');
+          err.status = 404;
+          return next(err);
+        }
+
+        // updatedSeries is the series as it was before the update
+        AuditEntry.record(req.user, 'Update', updatedSeries, series, (err) => {
+          if (err) return next(err);
+
+          // Successful: redirect to series detail page
+          res.redirect(updatedSeries.url);
+        });
+      });
+    });
+  },
+];
@@ -0,0 +1,134 @@
+const async = require('async');
+const Book = require('../models/book');
+const Author = require('../models/author');
+const Genre = require('../models/genre');
+const Series = require('../models/series');
+const Edition = require('../models/edition');
+const BookInstance = require('../models/bookInstance');
+
+// The kinds of record in the trash, by the name used in their URLs
+const TRASH_TYPES = {
+  book: Book,
+  author: Author,
+  genre: Genre,
+  series: Series,
+  edition: Edition,
+  bookinstance: BookInstance,
+};
+
+// A readable name for a record referring to another, in purge errors
+const describe = (doc) =>
+  `${doc.constructor.modelName} ${
+    doc.title || doc.name || doc.imprint || doc._id
+  }`;
+
+// Render the trash, with any error messages
+const renderTrash = (res, next, errors) => {
+  const trashed = (Model) =>
+    Model.findTrashed().sort({ deleted: -1 }).populate('deleted_by');
+
+  async.parallel(
+    {
+      books(callback) {
+        trashed(Book).exec(callback);
+      },
+      authors(callback) {
+        trashed(Author).exec(callback);
+      },
+      genres(callback) {
+        trashed(Genre).exec(callback);
+      },
+      series(callback) {
+        trashed(Series).exec(callback);
+      },
+      editions(callback) {
+        // Editions of books in the trash too show without their title
+        trashed(Edition).populate('book').exec(callback);
+      },
+      book_instances(callback) {
+        // Copies of books and editions in the trash too show without them
+        trashed(BookInstance).populate(['book', 'edition']).exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      // Successful, so render
+      res.render('trash_list', {
+        title: 'Trash',
+        ...results,
+        errors,
+      });
+    }
+  );
+};
+
+// Find the model for the :type of a trash URL, or pass on a 404
+const trashModel = (req, next) => {
+  const Model = TRASH_TYPES[req.params.type];
+
+  if (!Model) {
+    const err = new Error('Trash not found');
+    err.status = 404;
+    next(err);
+  }
+
+  return Model;
+};
+
+// Display the records in the trash.
+exports.trash_list = (req, res, next) => {
+  renderTrash(res, next);
+};
+
+// Handle restoring a record from the trash on POST. The records it refers
+// to are restored with it.
+exports.trash_restore_post = (req, res, next) => {
+  const Model = trashModel(req, next);
+
+  if (!Model) return;
+
+  Model.restore(req.params.id, req.user, (err, doc) => {
+    if (err) return next(err);
+
+    if (doc === null) {
+      const err = new Error('Record not found in the trash');
+      err.status = 404;
+      return next(err);
+    }
+
+    // Success - go to the restored record
+    res.redirect(doc.url);
+  });
+};
+
+// Handle purging a record from the trash on POST. Records other records
+// still refer to are kept.
+exports.trash_purge_post = (req, res, next) => {
+  const Model = trashModel(req, next);
+
+  if (!Model) return;
+
+  Model.purge(req.params.id, req.user, (err, doc, referrers) => {
+    if (err) return next(err);
+
+    if (referrers.length) {
+      return renderTrash(res, next, [
+        {
+          msg: `It can't be purged while these records refer to it: ${referrers
+            .map(describe)
+            .join(', ')}.`,
+        },
+      ]);
+    }
+
+    if (doc === null) {
+      const err = new Error('Record not found in the trash');
+      err.status = 404;
+      return next(err);
+    }
+
+    // Success - back to the trash
+    res.redirect('/catalog/trash');
+  });
+};
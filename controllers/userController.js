@@ -0,0 +1,329 @@
+const User = require('../models/user');
+const Loan = require('../models/loan');
+const Hold = require('../models/hold');
+const async = require('async');
+const { body, validationResult } = require('express-validator');
+
+// Only follow redirects that stay on this site. The target is read the way
+// a browser reads it, so /\evil.com counts as another site, and the path it
+// resolves to is followed.
+const safeRedirect = (target) => {
+  const base = 'http://localhost';
+
+  if (typeof target !== 'string' || !target.startsWith('/')) return '/catalog';
+
+  try {
+    const url = new URL(target, base);
+
+    return url.origin === base
+      ? `${url.pathname}${url.search}${url.hash}`
+      : '/catalog';
+  } catch (err) {
+    return '/catalog';
+  }
+};
+
+// Sign a user in by storing their id on a fresh session
+const signIn = (req, user, callback) => {
+  // Regenerate the session to prevent session fixation
+  req.session.regenerate((err) => {
+    if (err) return callback(err);
+
+    req.session.userId = user._id.toString();
+    req.session.save(callback);
+  });
+};
+
+// Redirect to the current user's account page.
+exports.user_index = (req, res) => {
+  res.redirect(req.user.url);
+};
+
+// Display detail page for a specific User.
+exports.user_detail = (req, res, next) => {
+  const { id } = req.params;
+
+  // Users may only look at their own account, unless they are an admin
+  if (req.user._id.toString() !== id && !req.user.hasRole('admin')) {
+    const err = new Error('You can only view your own account!');
+    err.status = 403;
+    return next(err);
+  }
+
+  async.parallel(
+    {
+      user(callback) {
+        User.findById(id).exec(callback);
+      },
+      loans(callback) {
+        Loan.find({ patron: id, returned: null })
+          .sort({ due_back: 1 })
+          .populate([
+            'book',
+            { path: 'book_instance', populate: { path: 'edition' } },
+          ])
+          .exec(callback);
+      },
+      holds(callback) {
+        Hold.find({ patron: id, status: { $in: ['Waiting', 'Ready'] } })
+          .sort({ placed: 1 })
+          .populate('book')
+          .exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err) return next(err);
+
+      const { user, loans, holds } = results;
+
+      // No results
+      if (user === null) {
+        const err = new Error('User not found!');
+        err.status = 404;
+        return next(err);
+      }
+
+      // Successful, so render
+      res.render('user_detail', {
+        title: user._id.equals(req.user._id) ? 'My Account' : 'Account',
+        user,
+        loans,
+        holds,
+        roles: User.ROLES,
+      });
+    }
+  );
+};
+
+// Display list of all Users.
+exports.user_list = (req, res, next) => {
+  User.find()
+    .sort([['username', 'ascending']])
+    .exec((err, user_list) => {
+      if (err) return next(err);
+
+      // Successful, so render
+      res.render('user_list', {
+        title: 'User List',
+        user_list,
+      });
+    });
+};
+
+// Handle User role change on POST.
+exports.user_role_post = [
+  // Validate the role
+  body('role', 'Invalid role').isIn(User.ROLES),
+
+  // Process request after validation
+  (req, res, next) => {
+    // Extract the validation errors from a request
+    const errors = validationResult(req);
+    const { id } = req.params;
+
+    if (!errors.isEmpty()) {
+      const err = new Error(errors.array()[0].msg);
+      err.status = 400;
+      return next(err);
+    }
+
+    // Admins can't demote themselves, or there may be no admin left
+    if (req.user._id.toString() === id) {
+      const err = new Error('You cannot change your own role!');
+      err.status = 403;
+      return next(err);
+    }
+
+    User.findByIdAndUpdate(
+      id,
+      { role: req.body.role },
+      { new: true },
+      (err, updatedUser) => {
+        if (err) return next(err);
+
+        if (updatedUser === null) {
+          const err = new Error('User not found!');
+          err.status = 404;
+          return next(err);
+        }
+
+        // Successful: redirect to the user's detail page
+        res.redirect(updatedUser.url);
+      }
+    );
+  },
+];
+
+// Display User register form on GET.
+exports.user_register_get = (req, res) => {
+  res.render('user_form', {
+    title: 'Register',
+  });
+};
+
+// Handle User register on POST.
+exports.user_register_post = [
+  // Validate and sanitize fields
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Username must be 3-50 characters long.')
+    .isAlphanumeric()
+    .withMessage('Username has non-alphanumeric characters.')
+    .toLowerCase(),
+  body('email', 'A valid email address is required.')
+    .trim()
+    .isEmail()
+    .normalizeEmail(),
+  body('first_name')
+    .trim()
+    .isLength({ min: 1 })
+    .escape()
+    .withMessage('First name must be specified.'),
+  body('family_name')
+    .trim()
+    .isLength({ min: 1 })
+    .escape()
+    .withMessage('Family name must be specified.'),
+  body('password', 'Password must be at least 8 characters long.').isLength({
+    min: 8,
+  }),
+  body('password_confirm', 'Passwords do not match.').custom(
+    (value, { req }) => value === req.body.password
+  ),
+
+  // Process request after validation and sanitization
+  (req, res, next) => {
+    // Extract the validation errors from a request
+    const errors = validationResult(req);
+    const { username, email, first_name, family_name, password } = req.body;
+
+    // Create a User object with escaped and trimmed data
+    const user = new User({ username, email, first_name, family_name });
+
+    if (!errors.isEmpty()) {
+      // There are errors. Render form again with sanitized values/error messages.
+      res.render('user_form', {
+        title: 'Register',
+        user,
+        errors: errors.array(),
+      });
+      return;
+    }
+
+    async.parallel(
+      {
+        // Check if the username or email is already taken
+        found_user(callback) {
+          User.findOne({ $or: [{ username }, { email }] }).exec(callback);
+        },
+        user_count(callback) {
+          User.countDocuments({}, callback);
+        },
+      },
+      (err, results) => {
+        if (err) return next(err);
+
+        if (results.found_user) {
+          const error = new Error();
+          error.msg = 'An account with this username or email already exists!';
+
+          res.render('user_form', {
+            title: 'Register',
+            user,
+            errors: [error],
+          });
+          return;
+        }
+
+        // The very first account bootstraps the library, so make it an admin
+        if (results.user_count === 0) user.role = 'admin';
+
+        user.setPassword(password, (err) => {
+          if (err) return next(err);
+
+          user.save((err) => {
+            if (err) return next(err);
+
+            // Successful - sign the new user in and go to their account
+            signIn(req, user, (err) => {
+              if (err) return next(err);
+
+              res.redirect(user.url);
+            });
+          });
+        });
+      }
+    );
+  },
+];
+
+// Display login form on GET.
+exports.user_login_get = (req, res) => {
+  res.render('user_login', {
+    title: 'Log In',
+    next: safeRedirect(req.query.next),
+  });
+};
+
+// Handle login on POST.
+exports.user_login_post = [
+  // Validate and sanitize fields
+  body('username', 'Username must be specified.')
+    .trim()
+    .isLength({ min: 1 })
+    .toLowerCase(),
+  body('password', 'Password must be specified.').isLength({ min: 1 }),
+
+  // Process request after validation and sanitization
+  (req, res, next) => {
+    // Extract the validation errors from a request
+    const errors = validationResult(req);
+    const { username, password } = req.body;
+    const redirectTo = safeRedirect(req.body.next);
+
+    const renderForm = (errorList) => {
+      res.render('user_login', {
+        title: 'Log In',
+        username,
+        next: redirectTo,
+        errors: errorList,
+      });
+    };
+
+    if (!errors.isEmpty()) return renderForm(errors.array());
+
+    User.findOne({ username }).exec((err, user) => {
+      if (err) return next(err);
+
+      // Use the same message for unknown users and wrong passwords
+      const error = new Error();
+      error.msg = 'Invalid username or password.';
+
+      if (user === null) return renderForm([error]);
+
+      user.validatePassword(password, (err, isValid) => {
+        if (err) return next(err);
+
+        if (!isValid) return renderForm([error]);
+
+        // Successful - sign in and continue to where the user was going
+        signIn(req, user, (err) => {
+          if (err) return next(err);
+
+          res.redirect(redirectTo);
+        });
+      });
+    });
+  },
+];
+
+// Handle logout on POST.
+exports.user_logout_post = (req, res, next) => {
+  req.session.destroy((err) => {
+    if (err) return next(err);
+
+    res.clearCookie('connect.sid');
+    res.redirect('/catalog');
+  });
+};
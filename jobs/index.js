@@ -0,0 +1,76 @@
+const debug = require('debug')('express-locallibrary-tutorial:jobs');
+const async = require('async');
+const { DateTime } = require('luxon');
+const Hold = require('../models/hold');
+const Book = require('../models/book');
+const Author = require('../models/author');
+const Genre = require('../models/genre');
+const Series = require('../models/series');
+const Edition = require('../models/edition');
+const BookInstance = require('../models/bookInstance');
+const { createTransport } = require('../mail');
+const { queueNotices, processOutbox } = require('./notices');
+const {
+  holdExpiryIntervalMinutes,
+  trashRetentionDays,
+  mail,
+} = require('../config');
+
+// How often the trash is checked for records past their retention period
+const TRASH_PURGE_INTERVAL_MINUTES = 60;
+
+// Pass holds that were not picked up in time on to the next patron
+const expireHolds = () => {
+  Hold.expireOverdue((err, count) => {
+    if (err) return console.error('Expiring holds failed:', err);
+
+    if (count) debug(`Expired ${count} hold(s)`);
+  });
+};
+
+// Purge records that have been in the trash longer than the retention
+// period. Copies go before books and books before their authors and genres,
+// so nothing is kept only because a record that refers to it is purged later.
+const purgeTrash = () => {
+  const before = DateTime.now().minus({ days: trashRetentionDays }).toJSDate();
+
+  async.mapSeries(
+    [BookInstance, Edition, Book, Series, Author, Genre],
+    (Model, callback) => Model.purgeTrashed(before, callback),
+    (err, counts) => {
+      if (err) return console.error('Purging the trash failed:', err);
+
+      const purged = counts.reduce((sum, count) => sum + count, 0);
+
+      if (purged) debug(`Purged ${purged} record(s) from the trash`);
+    }
+  );
+};
+
+// Queue notices for overdue, due soon and ready items, then deliver them
+const sendNotices = (app, transport) => {
+  queueNotices(app, (err, queued) => {
+    if (err) return console.error('Queueing notices failed:', err);
+
+    if (queued) debug(`Queued ${queued} notice(s)`);
+
+    processOutbox(transport, (err, sent) => {
+      if (err) return console.error('Processing the outbox failed:', err);
+
+      if (sent) debug(`Sent ${sent} notice(s) via ${transport.name}`);
+    });
+  });
+};
+
+// Start the recurring background jobs. The app is used to render notice
+// templates. The timers don't keep the process alive on their own.
+exports.start = (app) => {
+  const transport = createTransport();
+
+  setInterval(expireHolds, holdExpiryIntervalMinutes * 60 * 1000).unref();
+  setInterval(purgeTrash, TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+  setInterval(
+    () => sendNotices(app, transport),
+    mail.intervalMinutes * 60 * 1000
+  ).unref();
+};
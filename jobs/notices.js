@@ -0,0 +1,183 @@
+const async = require('async');
+const { DateTime } = require('luxon');
+const Notice = require('../models/notice');
+const Loan = require('../models/loan');
+const Hold = require('../models/hold');
+const { mail } = require('../config');
+
+// Number of messages sent per run, so a big backlog doesn't hog the server
+const BATCH_SIZE = 50;
+
+// Build the notices that should go out now. Each one has a key naming what
+// it is about, so running this again doesn't queue the same notice twice.
+const findDueNotices = (callback) => {
+  const now = new Date();
+  const dueSoon = DateTime.now()
+    .plus({ days: mail.dueSoonDays })
+    .endOf('day')
+    .toJSDate();
+
+  async.parallel(
+    {
+      overdue(callback) {
+        Loan.find({ returned: null, due_back: { $lt: now } })
+          .populate(['book', 'patron'])
+          .exec(callback);
+      },
+      due_soon(callback) {
+        Loan.find({ returned: null, due_back: { $gte: now, $lte: dueSoon } })
+          .populate(['book', 'patron'])
+          .exec(callback);
+      },
+      hold_ready(callback) {
+        Hold.find({ status: 'Ready' })
+          .populate(['book', 'patron'])
+          .exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err) return callback(err);
+
+      // Skip loans and holds of books that are in the trash, which come
+      // back without their book
+      const withBook = (docs) => docs.filter((doc) => doc.book);
+
+      const notices = [
+        ...withBook(results.overdue).map((loan) => ({
+          key: `overdue:${loan._id}`,
+          type: 'Overdue',
+          template: 'notices/overdue',
+          subject: `Overdue: ${loan.book.title}`,
+          patron: loan.patron,
+          locals: { loan },
+        })),
+        ...withBook(results.due_soon).map((loan) => ({
+          key: `due-soon:${loan._id}`,
+          type: 'DueSoon',
+          template: 'notices/due_soon',
+          subject: `Due soon: ${loan.book.title}`,
+          patron: loan.patron,
+          locals: { loan },
+        })),
+        ...withBook(results.hold_ready).map((hold) => ({
+          key: `hold-ready:${hold._id}`,
+          type: 'HoldReady',
+          template: 'notices/hold_ready',
+          subject: `Ready for pickup: ${hold.book.title}`,
+          patron: hold.patron,
+          locals: { hold },
+        })),
+      ];
+
+      // Skip patrons whose accounts have been removed
+      callback(
+        null,
+        notices.filter((notice) => notice.patron)
+      );
+    }
+  );
+};
+
+// Render any due notices that aren't in the outbox yet and add them to it.
+// Calls back with the number of notices queued.
+exports.queueNotices = (app, callback) => {
+  findDueNotices((err, notices) => {
+    if (err) return callback(err);
+
+    Notice.distinct('key', {
+      key: { $in: notices.map((notice) => notice.key) },
+    }).exec((err, existingKeys) => {
+      if (err) return callback(err);
+
+      const newNotices = notices.filter(
+        (notice) => !existingKeys.includes(notice.key)
+      );
+
+      async.eachSeries(
+        newNotices,
+        (notice, done) => {
+          const locals = {
+            ...notice.locals,
+            patron: notice.patron,
+            subject: notice.subject,
+            baseUrl: mail.baseUrl,
+          };
+
+          app.render(notice.template, locals, (err, html) => {
+            if (err) return done(err);
+
+            Notice.create(
+              {
+                key: notice.key,
+                type: notice.type,
+                patron: notice.patron._id,
+                to: notice.patron.email,
+                subject: notice.subject,
+                html,
+              },
+              (err) => {
+                // Another run queued it first, which is fine
+                if (err && err.code === 11000) return done();
+
+                done(err);
+              }
+            );
+          });
+        },
+        (err) => callback(err, newNotices.length)
+      );
+    });
+  });
+};
+
+// Try to deliver pending notices through the transport. Failed deliveries
+// are retried after a growing delay until mail.maxAttempts is reached.
+// Calls back with the number of notices sent.
+exports.processOutbox = (transport, callback) => {
+  Notice.find({ status: 'Pending', next_attempt: { $lte: new Date() } })
+    .sort({ next_attempt: 1 })
+    .limit(BATCH_SIZE)
+    .exec((err, notices) => {
+      if (err) return callback(err);
+
+      let sentCount = 0;
+
+      async.eachSeries(
+        notices,
+        (notice, done) => {
+          const message = {
+            from: mail.from,
+            to: notice.to,
+            subject: notice.subject,
+            html: notice.html,
+          };
+
+          transport.send(message, (err, info) => {
+            notice.attempts += 1;
+
+            if (err) {
+              notice.last_error = err.message;
+
+              if (notice.attempts >= mail.maxAttempts) {
+                notice.status = 'Failed';
+              } else {
+                // Wait 2, 4, 8... minutes before the next attempt
+                notice.next_attempt = DateTime.now()
+                  .plus({ minutes: 2 ** notice.attempts })
+                  .toJSDate();
+              }
+            } else {
+              sentCount += 1;
+              notice.status = 'Sent';
+              notice.sent = new Date();
+              notice.message_id = info.messageId;
+              notice.last_error = undefined;
+            }
+
+            notice.save((err) => done(err));
+          });
+        },
+        (err) => callback(err, sentCount)
+      );
+    });
+};
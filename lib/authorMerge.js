@@ -0,0 +1,248 @@
+const async = require('async');
+const { unescape } = require('validator');
+const Author = require('../models/author');
+const Book = require('../models/book');
+const AuditEntry = require('../models/auditEntry');
+const transaction = require('./transaction');
+
+// The words of a name, compared ignoring case, accents and punctuation, e.g.
+// "J.R.R." gives ['j', 'r', 'r']. Names are stored escaped for HTML.
+const nameWords = (name) =>
+  unescape(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+exports.nameWords = nameWords;
+
+// Whether two first names can be the same person's: word by word, each word
+// is the same or one is the other's initial, e.g. "J.R.R." and "John"
+const firstNamesMatch = (a, b) => {
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+
+  return (
+    shorter.length > 0 &&
+    shorter.every(
+      (word, i) =>
+        word === longer[i] ||
+        (word.length === 1 && longer[i].startsWith(word)) ||
+        (longer[i].length === 1 && word.startsWith(longer[i]))
+    )
+  );
+};
+
+const year = (date) => (date ? date.getUTCFullYear() : null);
+
+// Why two authors are likely the same person, or null if they aren't. Their
+// family names must be the same, their first names must match, and the
+// years of any dates both of them have must be the same.
+const duplicateReasons = (a, b) => {
+  const firstA = nameWords(a.first_name);
+  const firstB = nameWords(b.first_name);
+
+  if (nameWords(a.family_name).join(' ') !== nameWords(b.family_name).join(' '))
+    return null;
+  if (!firstNamesMatch(firstA, firstB)) return null;
+
+  const reasons = [
+    firstA.join(' ') === firstB.join(' ') ? 'Same name' : 'Matching initials',
+  ];
+
+  for (const [field, label] of [
+    ['date_of_birth', 'birth'],
+    ['date_of_death', 'death'],
+  ]) {
+    if (a[field] && b[field]) {
+      if (year(a[field]) !== year(b[field])) return null;
+
+      reasons.push(`Same year of ${label}`);
+    }
+  }
+
+  return reasons;
+};
+
+// Find the pairs of authors that are likely duplicates. Pairs aren't joined
+// into groups, since one author can match two others that don't match each
+// other. Calls back with a list of { authors, reasons }.
+exports.findDuplicates = (callback) => {
+  Author.find()
+    .sort({ family_name: 1, first_name: 1 })
+    .exec((err, authors) => {
+      if (err) return callback(err);
+
+      // Only authors with the same family name are compared
+      const byFamilyName = new Map();
+
+      for (const author of authors) {
+        const key = nameWords(author.family_name).join(' ');
+
+        if (!byFamilyName.has(key)) byFamilyName.set(key, []);
+        byFamilyName.get(key).push(author);
+      }
+
+      const pairs = [];
+
+      for (const candidates of byFamilyName.values()) {
+        candidates.forEach((a, i) => {
+          for (const b of candidates.slice(i + 1)) {
+            const reasons = duplicateReasons(a, b);
+
+            if (reasons) pairs.push({ authors: [a, b], reasons });
+          }
+        });
+      }
+
+      callback(null, pairs);
+    });
+};
+
+// The dates the surviving author keeps: its own, or the merged author's
+// where it has none. A date both have but that differs is a conflict, and
+// the survivor's is kept.
+const combineDates = (source, target) =>
+  ['date_of_birth', 'date_of_death'].map((field) => ({
+    field,
+    value: target[field] || source[field],
+    conflict: Boolean(
+      source[field] &&
+        target[field] &&
+        source[field].getTime() !== target[field].getTime()
+    ),
+  }));
+
+// Load two authors and what merging the first into the second would do,
+// without changing anything. Calls back with { source, target, books, dates }
+// or null if either author doesn't exist. Books in the trash are counted too,
+// they move with the others.
+const preview = (source_id, target_id, session, callback) => {
+  async.series(
+    {
+      source(callback) {
+        Author.findById(source_id).session(session).exec(callback);
+      },
+      target(callback) {
+        Author.findById(target_id).session(session).exec(callback);
+      },
+      books(callback) {
+        Book.find({ 'contributors.author': source_id })
+          .sort({ title: 1 })
+          .session(session)
+          .exec(callback);
+      },
+      trashed_books(callback) {
+        Book.findTrashed({ 'contributors.author': source_id })
+          .session(session)
+          .exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err || !results.source || !results.target) return callback(err, null);
+
+      callback(null, {
+        ...results,
+        dates: combineDates(results.source, results.target),
+      });
+    }
+  );
+};
+
+exports.previewMerge = (source_id, target_id, callback) => {
+  preview(source_id, target_id, null, callback);
+};
+
+// Merge an author into another in one transaction: the surviving author takes
+// its place in its books, including any in the trash, and any dates it
+// doesn't have. The merged author is removed, and its id kept on the
+// survivor so its old URL redirects there. Calls back with { error }, or
+// { target } with the surviving author, or null if either doesn't exist.
+exports.mergeAuthors = (source_id, target_id, actor, callback) => {
+  transaction((session, callback) => {
+    preview(source_id, target_id, session, (err, plan) => {
+      if (err || plan === null) return callback(err, null);
+
+      const { source, target } = plan;
+
+      if (source._id.equals(target._id)) {
+        return callback(null, {
+          error: "An author can't be merged into itself.",
+        });
+      }
+
+      const update = {
+        merged_ids: [...target.merged_ids, source._id, ...source.merged_ids],
+      };
+
+      for (const date of plan.dates) update[date.field] = date.value;
+
+      async.series(
+        [
+          (callback) =>
+            async.eachSeries(
+              [...plan.books, ...plan.trashed_books],
+              (book, callback) => {
+                // Matching on deleted reaches books in the trash too
+                Book.findOneAndUpdate(
+                  { _id: book._id, deleted: book.deleted },
+                  {
+                    contributors: book.replaceContributor(
+                      source._id,
+                      target._id
+                    ),
+                  },
+                  { new: true, session },
+                  (err, moved_book) => {
+                    if (err) return callback(err);
+
+                    AuditEntry.record(
+                      actor,
+                      'Update',
+                      book,
+                      moved_book,
+                      { session },
+                      callback
+                    );
+                  }
+                );
+              },
+              callback
+            ),
+          (callback) =>
+            Author.findByIdAndUpdate(
+              target._id,
+              update,
+              { new: true, session },
+              (err, merged_target) => {
+                if (err) return callback(err);
+
+                AuditEntry.record(
+                  actor,
+                  'Update',
+                  target,
+                  merged_target,
+                  { session },
+                  (err) => callback(err, merged_target)
+                );
+              }
+            ),
+          (callback) =>
+            Author.deleteOne({ _id: source._id }, { session }, (err) => {
+              if (err) return callback(err);
+
+              AuditEntry.record(
+                actor,
+                'Merge',
+                source,
+                null,
+                { session },
+                callback
+              );
+            }),
+        ],
+        (err, results) => callback(err, { target: results && results[1] })
+      );
+    });
+  }, callback);
+};
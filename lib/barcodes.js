@@ -0,0 +1,40 @@
+// Copy barcodes: a 3, a sequence number of at least six digits and a check
+// digit, e.g. 30000012. The check digit catches a mistyped digit, and most
+// pairs of swapped ones, when a barcode is keyed in by hand.
+
+// Strip the spaces barcodes are sometimes read out or typed with
+const clean = (value) => String(value || '').replace(/\s/g, '');
+
+// Luhn check digit: from the right, every other digit doubled, modulo 10
+const checkDigit = (digits) => {
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    const digit = Number(digits[digits.length - 1 - i]);
+    const weighted = i % 2 === 0 ? digit * 2 : digit;
+
+    sum += weighted > 9 ? weighted - 9 : weighted;
+  }
+
+  return String((10 - (sum % 10)) % 10);
+};
+
+// The barcode for a sequence number
+exports.fromNumber = (number) => {
+  const digits = `3${String(number).padStart(6, '0')}`;
+
+  return digits + checkDigit(digits);
+};
+
+// Whether value is a barcode with a correct check digit
+exports.isValid = (value) => {
+  const barcode = clean(value);
+
+  return (
+    /^3\d{7,}$/.test(barcode) &&
+    checkDigit(barcode.slice(0, -1)) === barcode[barcode.length - 1]
+  );
+};
+
+// The barcode without spaces for a valid barcode, or null when it isn't one
+exports.normalize = (value) => (exports.isValid(value) ? clean(value) : null);
@@ -0,0 +1,490 @@
+const async = require('async');
+const Book = require('../models/book');
+const Author = require('../models/author');
+const Genre = require('../models/genre');
+const Series = require('../models/series');
+const Edition = require('../models/edition');
+const BookInstance = require('../models/bookInstance');
+const Hold = require('../models/hold');
+const AuditEntry = require('../models/auditEntry');
+const transaction = require('./transaction');
+
+// Ways of dealing with the books that refer to a record being deleted:
+// reassign them to another author or genre, remove the genre or series from
+// them, or delete them along with their copies (cascade). An author's cascade
+// only deletes the books no one else contributed to, the author is removed
+// from the others.
+const STRATEGIES = {
+  author: ['reassign', 'cascade'],
+  genre: ['remove', 'reassign'],
+  series: ['remove'],
+  book: ['cascade'],
+};
+
+exports.STRATEGIES = STRATEGIES;
+
+// Copies that can't be deleted, since a patron has them or they are set
+// aside for a hold
+const isInUse = (copy) =>
+  copy.status === 'Loaned' || copy.status === 'Reserved';
+
+// What deleting the books would take with them: their copies and the holds
+// waiting for them, which are cancelled. Copies in use stop the cascade.
+const cascadePreview = (books, session, callback) => {
+  const ids = books.map((book) => book._id);
+
+  async.series(
+    {
+      copies(callback) {
+        BookInstance.find({ book: { $in: ids } })
+          .populate('edition')
+          .session(session)
+          .exec(callback);
+      },
+      holds(callback) {
+        Hold.countDocuments({ book: { $in: ids }, status: 'Waiting' })
+          .session(session)
+          .exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err) return callback(err);
+
+      callback(null, {
+        books,
+        copies: results.copies,
+        holds: results.holds,
+        copies_in_use: results.copies.filter(isInUse),
+      });
+    }
+  );
+};
+
+// Update a record and record the change in the audit log
+const updateRecord = (Model, doc, update, actor, session, callback) => {
+  Model.findByIdAndUpdate(
+    doc._id,
+    update,
+    { new: true, runValidators: true, session },
+    (err, updated_doc) => {
+      if (err) return callback(err);
+
+      AuditEntry.record(
+        actor,
+        'Update',
+        doc,
+        updated_doc,
+        { session },
+        callback
+      );
+    }
+  );
+};
+
+// Move the copies of the books to the trash
+const trashCopies = (cascade, actor, session, callback) => {
+  async.eachSeries(
+    cascade.copies,
+    (copy, callback) =>
+      BookInstance.trash(copy._id, actor, { session }, callback),
+    callback
+  );
+};
+
+// Cancel the holds waiting for a book. A book can't be deleted while it
+// has a Ready hold, since the copy set aside for it is in use.
+const cancelHolds = (book_id, session, callback) => {
+  Hold.updateMany(
+    { book: book_id, status: 'Waiting' },
+    { status: 'Cancelled' },
+    { session },
+    callback
+  );
+};
+
+// Move the editions of a book to the trash, once its copies are there
+const trashEditions = (book_id, actor, session, callback) => {
+  Edition.find({ book: book_id })
+    .session(session)
+    .exec((err, editions) => {
+      if (err) return callback(err);
+
+      async.eachSeries(
+        editions,
+        (edition, callback) =>
+          Edition.trash(edition._id, actor, { session }, callback),
+        callback
+      );
+    });
+};
+
+// Deal with what hangs off a book about to be deleted, whether or not it
+// has copies: cancel its waiting holds and move its editions to the trash
+const detachBook = (book_id, actor, session, callback) => {
+  async.series(
+    [
+      (callback) => cancelHolds(book_id, session, callback),
+      (callback) => trashEditions(book_id, actor, session, callback),
+    ],
+    (err) => callback(err)
+  );
+};
+
+// Move a book to the trash with its editions, cancelling its holds
+const trashBook = (book_id, actor, session, callback) => {
+  detachBook(book_id, actor, session, (err) => {
+    if (err) return callback(err);
+
+    Book.trash(book_id, actor, { session }, callback);
+  });
+};
+
+// Check a delete strategy against a plan made inside the transaction, so
+// against the catalog as it is now. Calls back with an error message, or
+// null when it can run.
+const checkStrategy = (Model, plan, strategy) => {
+  if (!plan.affected) return null;
+
+  if (!STRATEGIES[Model.modelName.toLowerCase()].includes(strategy)) {
+    return Model === Book
+      ? 'Choose to delete the copies along with the book.'
+      : 'Choose what to do with the books.';
+  }
+
+  if (strategy === 'cascade' && plan.cascade.copies_in_use.length) {
+    return `${plan.cascade.copies_in_use.length} copy(ies) are on loan or set aside for a hold, so they can't be deleted.`;
+  }
+
+  if (
+    strategy === 'reassign' &&
+    (!plan.target || plan.target._id.equals(plan.record._id))
+  ) {
+    return `Choose another ${Model.modelName.toLowerCase()} to reassign the books to.`;
+  }
+
+  return null;
+};
+
+// The books a cascade deletes: all of them, but for an author only those it
+// is the sole contributor of
+const cascadeBooks = (Model, id, books) =>
+  Model === Author
+    ? books.filter((book) =>
+        book
+          .contributorRefs()
+          .every((contributor) => contributor.author.equals(id))
+      )
+    : books;
+
+// Load a record, the books that refer to it (filter) and what deleting them
+// would take with them, without changing anything. options.target is the
+// record to reassign the books to. Calls back with { record, books, target,
+// cascade, affected } or null if there is no record, where affected is the
+// number of records a strategy is needed for.
+const preview = (Model, id, filter, options, session, callback) => {
+  async.series(
+    {
+      record(callback) {
+        Model.findById(id).session(session).exec(callback);
+      },
+      books(callback) {
+        Book.find(filter)
+          .sort({ title: 1 })
+          .populate('contributors.author')
+          .session(session)
+          .exec(callback);
+      },
+      target(callback) {
+        if (!options.target) return callback(null, null);
+
+        Model.findById(options.target).session(session).exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err || results.record === null) return callback(err, null);
+
+      const books = cascadeBooks(Model, id, results.books);
+
+      cascadePreview(books, session, (err, cascade) => {
+        if (err) return callback(err);
+
+        callback(null, {
+          ...results,
+          cascade,
+          // A book only needs one for its copies
+          affected:
+            Model === Book ? cascade.copies.length : results.books.length,
+        });
+      });
+    }
+  );
+};
+
+// Run a delete in a transaction: load the preview again inside it, check the
+// strategy, apply it when there are records it is needed for, then move the
+// record to the trash. options.detach(plan, session, callback), if given,
+// runs just before that whatever the strategy. Calls back with { error }
+// when the strategy can't run, or { record } with the deleted record, or
+// null if there is none.
+const runDelete = (Model, id, filter, strategy, options, apply, callback) => {
+  transaction((session, callback) => {
+    preview(Model, id, filter, options, session, (err, plan) => {
+      if (err || plan === null) return callback(err, null);
+
+      const error = checkStrategy(Model, plan, strategy);
+
+      if (error) return callback(null, { error });
+
+      const run = plan.affected
+        ? apply
+        : (plan, session, callback) => callback();
+
+      const detach =
+        options.detach || ((plan, session, callback) => callback());
+
+      async.series(
+        [
+          (callback) => run(plan, session, callback),
+          (callback) => detach(plan, session, callback),
+          (callback) => Model.trash(id, options.actor, { session }, callback),
+        ],
+        (err) => callback(err, { record: plan.record })
+      );
+    });
+  }, callback);
+};
+
+// Apply a strategy to the books of an author or genre: delete the books of
+// the cascade with their copies and editions, and make the change
+// changeBook(book, plan) gives to each of the others.
+const applyStrategy =
+  (strategy, actor, changeBook) => (plan, session, callback) => {
+    if (strategy === 'cascade') {
+      return trashCopies(plan.cascade, actor, session, (err) => {
+        if (err) return callback(err);
+
+        async.eachSeries(
+          plan.books,
+          (book, callback) =>
+            plan.cascade.books.includes(book)
+              ? trashBook(book._id, actor, session, callback)
+              : updateRecord(
+                  Book,
+                  book,
+                  changeBook(book, plan),
+                  actor,
+                  session,
+                  callback
+                ),
+          callback
+        );
+      });
+    }
+
+    async.eachSeries(
+      plan.books,
+      (book, callback) =>
+        updateRecord(
+          Book,
+          book,
+          changeBook(book, plan),
+          actor,
+          session,
+          callback
+        ),
+      callback
+    );
+  };
+
+// Preview deleting an author: the books it contributed to, where it can be
+// replaced by one of the other authors, or which can be deleted with it.
+exports.previewAuthorDelete = (id, callback) => {
+  preview(Author, id, { 'contributors.author': id }, {}, null, (err, plan) => {
+    if (err || plan === null) return callback(err, plan);
+
+    Author.find({ _id: { $ne: id } })
+      .sort({ family_name: 1, first_name: 1 })
+      .exec((err, authors) => {
+        if (err) return callback(err);
+
+        callback(null, { ...plan, authors });
+      });
+  });
+};
+
+// Delete an author in one transaction, with options.target taking its place
+// in its books, or deleting the books only it contributed to and removing it
+// from the others. options.actor is recorded in the audit log.
+exports.deleteAuthor = (id, strategy, options, callback) => {
+  runDelete(
+    Author,
+    id,
+    { 'contributors.author': id },
+    strategy,
+    options,
+    applyStrategy(strategy, options.actor, (book, plan) => {
+      if (strategy === 'reassign') {
+        return {
+          contributors: book.replaceContributor(id, plan.target._id),
+        };
+      }
+
+      return {
+        contributors: book
+          .contributorRefs()
+          .filter((contributor) => !contributor.author.equals(id)),
+      };
+    }),
+    callback
+  );
+};
+
+// Move the subgenres of a genre being deleted up to its parent, or to the
+// top level, so the tree stays whole
+const moveSubgenresUp = (genre, actor, session, callback) => {
+  Genre.find({ parent: genre._id })
+    .session(session)
+    .exec((err, subgenres) => {
+      if (err) return callback(err);
+
+      async.eachSeries(
+        subgenres,
+        (subgenre, callback) =>
+          updateRecord(
+            Genre,
+            subgenre,
+            { parent: genre.parent },
+            actor,
+            session,
+            callback
+          ),
+        callback
+      );
+    });
+};
+
+// Preview deleting a genre: the books in it, which can lose the genre or
+// have it replaced by one of the other genres, and its subgenres, which move
+// up to its parent. Calls back with the other genres in tree order, and
+// the parent, null for a top level genre.
+exports.previewGenreDelete = (id, callback) => {
+  preview(Genre, id, { genre: id }, {}, null, (err, plan) => {
+    if (err || plan === null) return callback(err, plan);
+
+    Genre.findTree((err, genres) => {
+      if (err) return callback(err);
+
+      const record = genres.find((genre) => genre._id.equals(id));
+      const parent =
+        plan.record.parent &&
+        genres.find((genre) => genre._id.equals(plan.record.parent));
+
+      callback(null, {
+        ...plan,
+        genres: genres.filter((genre) => genre !== record),
+        subgenres: record ? record.children : [],
+        parent: parent || null,
+      });
+    });
+  });
+};
+
+// Delete a genre, removing it from its books or replacing it with
+// options.target, in one transaction. Its subgenres move up to its parent.
+// options.actor is recorded in the audit log.
+exports.deleteGenre = (id, strategy, options, callback) => {
+  runDelete(
+    Genre,
+    id,
+    { genre: id },
+    strategy,
+    {
+      ...options,
+      detach: (plan, session, callback) =>
+        moveSubgenresUp(plan.record, options.actor, session, callback),
+    },
+    applyStrategy(strategy, options.actor, (book, plan) => {
+      const genre = book.genre.filter((genre_id) => !genre_id.equals(id));
+
+      if (
+        strategy === 'reassign' &&
+        !genre.some((genre_id) => genre_id.equals(plan.target._id))
+      ) {
+        genre.push(plan.target._id);
+      }
+
+      return { genre };
+    }),
+    callback
+  );
+};
+
+// Preview deleting a book: its copies, which are deleted with it.
+exports.previewBookDelete = (id, callback) => {
+  preview(Book, id, { _id: id }, {}, null, callback);
+};
+
+// Delete a book with its copies and editions in one transaction, cancelling
+// the holds waiting for it. options.actor is recorded in the audit log.
+exports.deleteBook = (id, strategy, options, callback) => {
+  runDelete(
+    Book,
+    id,
+    { _id: id },
+    strategy,
+    {
+      ...options,
+      detach: (plan, session, callback) =>
+        detachBook(plan.record._id, options.actor, session, callback),
+    },
+    (plan, session, callback) =>
+      trashCopies(plan.cascade, options.actor, session, callback),
+    callback
+  );
+};
+
+// Move a copy to the trash, unless a patron has it or it is set aside for a
+// hold. options.actor is recorded in the audit log. Calls back with
+// { error } when the copy is in use, or { record } with the deleted copy, or
+// null if there is none.
+exports.deleteCopy = (id, options, callback) => {
+  transaction((session, callback) => {
+    BookInstance.findById(id)
+      .session(session)
+      .exec((err, copy) => {
+        if (err || copy === null) return callback(err, null);
+
+        if (isInUse(copy)) {
+          return callback(null, {
+            error: `A copy that is ${copy.status} can't be deleted. Check it in or cancel its hold first.`,
+          });
+        }
+
+        BookInstance.trash(id, options.actor, { session }, (err) =>
+          callback(err, { record: copy })
+        );
+      });
+  }, callback);
+};
+
+// Preview deleting a series: its volumes, which leave the series.
+exports.previewSeriesDelete = (id, callback) => {
+  preview(Series, id, { series: id }, {}, null, callback);
+};
+
+// Delete a series, taking its books out of it, in one transaction.
+// options.actor is recorded in the audit log.
+exports.deleteSeries = (id, strategy, options, callback) => {
+  runDelete(
+    Series,
+    id,
+    { series: id },
+    strategy,
+    options,
+    applyStrategy(strategy, options.actor, () => ({
+      series: null,
+      volume: null,
+    })),
+    callback
+  );
+};
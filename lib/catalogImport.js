@@ -0,0 +1,500 @@
+const path = require('path');
+const async = require('async');
+const { escape } = require('validator');
+const Book = require('../models/book');
+const Author = require('../models/author');
+const Genre = require('../models/genre');
+const Edition = require('../models/edition');
+const BookInstance = require('../models/bookInstance');
+const Hold = require('../models/hold');
+const AuditEntry = require('../models/auditEntry');
+const csv = require('./csv');
+const isbn = require('./isbn');
+const marc = require('./marc');
+const catalogMarc = require('./catalogMarc');
+const transaction = require('./transaction');
+
+// Columns of a CSV import file. genres holds any number of genre names
+// separated by semicolons, copies the number of copies to put on the shelf
+// and imprint the publisher of the edition they are of.
+const COLUMNS = [
+  'title',
+  'summary',
+  'isbn',
+  'author_first_name',
+  'author_family_name',
+  'genres',
+  'copies',
+  'imprint',
+];
+
+// Most copies one row may add
+const MAX_COPIES = 100;
+
+exports.COLUMNS = COLUMNS;
+
+// Names are matched ignoring case and surrounding whitespace
+const nameKey = (...names) => names.join('|').trim().toLowerCase();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Formats an import file can be in, by file name extension
+const FORMATS = {
+  '.csv': 'csv',
+  '.mrc': 'marc21',
+  '.marc': 'marc21',
+  '.xml': 'marcxml',
+};
+
+exports.FORMATS = FORMATS;
+
+// Read the rows of an import file: a CSV file with the columns above, or MARC
+// records (binary or MARCXML) read through the MARC mapping table. Returns
+// { format, records } or { error } when the file can't be read.
+exports.readRecords = (buffer, file_name) => {
+  const format = FORMATS[path.extname(file_name).toLowerCase()] || 'csv';
+
+  try {
+    if (format === 'csv') {
+      const records = csv.parseRecords(buffer.toString('utf8'));
+      const missing = records.length
+        ? COLUMNS.filter((column) => !(column in records[0]))
+        : [];
+
+      if (missing.length) {
+        return {
+          error: `The file is missing the column(s): ${missing.join(', ')}`,
+        };
+      }
+
+      return { format, records };
+    }
+
+    const marcRecords =
+      format === 'marc21'
+        ? marc.parseBinary(buffer)
+        : marc.parseXml(buffer.toString('utf8'));
+
+    return {
+      format,
+      records: marcRecords.map((record, index) => ({
+        row: index + 1,
+        ...catalogMarc.recordToImport(record),
+      })),
+    };
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+// Check the rows of an import file against each other and the catalog,
+// without changing anything. Each row of the plan says whether its book will
+// be created, matched to a book with the same ISBN, or rejected, and whether
+// its author and genres are new or already exist. A matched book gets the
+// row's copies, and with options.update its title, summary, first
+// contributor and genres are replaced by the row's too, with the row's
+// author as its author. A row with the ISBN of a book in the trash is
+// rejected, as no other book can have it. options.session reads the catalog
+// in a transaction.
+// Values are escaped like the catalog forms do before they are compared.
+exports.planImport = (records, options, callback) => {
+  if (records.length === 0) {
+    return callback(null, {
+      error: 'The file has no rows to import',
+      rows: [],
+      summary: null,
+    });
+  }
+
+  const isbns = records.map((record) => isbn.toIsbn13(record.isbn));
+  const isbnFilter = { isbn: { $in: isbns.filter(Boolean) } };
+  const session = options.session || null;
+
+  // In series, as a transaction's session runs one operation at a time
+  async.series(
+    {
+      authors(callback) {
+        Author.find({}, 'first_name family_name')
+          .session(session)
+          .exec(callback);
+      },
+      genres(callback) {
+        Genre.find({}, 'name').session(session).exec(callback);
+      },
+      books(callback) {
+        Book.find(isbnFilter, 'title isbn contributors')
+          .session(session)
+          .exec(callback);
+      },
+      trashed_books(callback) {
+        Book.findTrashed(isbnFilter)
+          .select('title isbn')
+          .session(session)
+          .exec(callback);
+      },
+    },
+    (err, results) => {
+      if (err) return callback(err);
+
+      const authors = new Map(
+        results.authors.map((author) => [
+          nameKey(author.family_name, author.first_name),
+          author,
+        ])
+      );
+      const genres = new Map(
+        results.genres.map((genre) => [nameKey(genre.name), genre])
+      );
+      const books = new Map(results.books.map((book) => [book.isbn, book]));
+      const trashedBooks = new Map(
+        results.trashed_books.map((book) => [book.isbn, book])
+      );
+
+      // Rows seen so far by ISBN, to catch the same book twice in one file
+      const seenIsbns = new Map();
+      // New authors and genres, so several rows can share one
+      const newAuthors = new Set();
+      const newGenres = new Set();
+
+      const rows = records.map((record, index) => {
+        const errors = [];
+        const title = escape(record.title);
+        const summary = escape(record.summary);
+        const first_name = escape(record.author_first_name);
+        const family_name = escape(record.author_family_name);
+        const imprint = escape(record.imprint);
+        const isbn13 = isbns[index];
+        const copies = record.copies === '' ? 0 : Number(record.copies);
+
+        if (!title) errors.push('Title must not be empty');
+        if (!summary) errors.push('Summary must not be empty');
+        if (!record.isbn) {
+          errors.push('ISBN must not be empty');
+        } else if (isbn13 === null) {
+          errors.push(`${record.isbn} is not a valid ISBN-10 or ISBN-13`);
+        } else if (seenIsbns.has(isbn13)) {
+          errors.push(`Same ISBN as row ${seenIsbns.get(isbn13)}`);
+        } else if (trashedBooks.has(isbn13)) {
+          errors.push(
+            `Same ISBN as "${trashedBooks.get(isbn13).title}", in the trash`
+          );
+        } else {
+          seenIsbns.set(isbn13, record.row);
+        }
+        if (!first_name || !family_name) {
+          errors.push('Author first and family name must not be empty');
+        } else if (first_name.length > 100 || family_name.length > 100) {
+          errors.push('Author names must be at most 100 characters long');
+        }
+        if (!Number.isInteger(copies) || copies < 0 || copies > MAX_COPIES) {
+          errors.push(`Copies must be a whole number from 0 to ${MAX_COPIES}`);
+        } else if (copies > 0 && !imprint) {
+          errors.push('Imprint must not be empty when adding copies');
+        }
+
+        const genreNames = [
+          ...new Set(
+            record.genres
+              .split(';')
+              .map((name) => escape(name.trim()))
+              .filter(Boolean)
+          ),
+        ];
+
+        for (const name of genreNames) {
+          if (name.length < 3 || name.length > 100) {
+            errors.push(`Genre "${name}" must be 3-100 characters long`);
+          }
+        }
+
+        const existing_book = isbn13 ? books.get(isbn13) : undefined;
+        const authorKey = nameKey(family_name, first_name);
+        const row = {
+          row: record.row,
+          action: 'Create',
+          title,
+          summary,
+          isbn: isbn13 || record.isbn,
+          book: existing_book || null,
+          author: {
+            first_name,
+            family_name,
+            name: `${family_name}, ${first_name}`,
+            key: authorKey,
+            action: authors.has(authorKey) ? 'Match' : 'Create',
+          },
+          genres: genreNames.map((name) => ({
+            name,
+            key: nameKey(name),
+            action: genres.has(nameKey(name)) ? 'Match' : 'Create',
+          })),
+          copies,
+          imprint,
+          errors,
+        };
+
+        if (errors.length) {
+          row.action = 'Reject';
+          return row;
+        }
+
+        if (existing_book && !options.update) {
+          // The book is already in the catalog, only its copies are added
+          row.action = 'Match';
+          row.title = existing_book.title;
+          return row;
+        }
+
+        if (existing_book) row.action = 'Update';
+
+        if (row.author.action === 'Create') newAuthors.add(authorKey);
+        for (const genre of row.genres) {
+          if (genre.action === 'Create') newGenres.add(genre.key);
+        }
+
+        return row;
+      });
+
+      const count = (action) =>
+        rows.filter((row) => row.action === action).length;
+
+      callback(null, {
+        error: null,
+        rows,
+        summary: {
+          create: count('Create'),
+          match: count('Match'),
+          update: count('Update'),
+          reject: count('Reject'),
+          new_authors: newAuthors.size,
+          new_genres: newGenres.size,
+          copies: rows
+            .filter((row) => row.action !== 'Reject')
+            .reduce((sum, row) => sum + row.copies, 0),
+        },
+      });
+    }
+  );
+};
+
+// Plan and save the rows of runImport, with options.session
+const importRecords = (records, options, callback) => {
+  const { session } = options;
+
+  exports.planImport(records, options, (err, plan) => {
+    if (err) return callback(err);
+
+    if (plan.error) return callback(null, plan);
+
+    const actor = options.actor || null;
+
+    // Save a new document and record its creation
+    const create = (doc, callback) => {
+      doc.save({ session }, (err) => {
+        if (err) return callback(err);
+
+        AuditEntry.record(actor, 'Create', null, doc, { session }, (err) =>
+          callback(err, doc)
+        );
+      });
+    };
+
+    // Authors and genres by name key, the existing ones and those created
+    const authors = new Map();
+    const genres = new Map();
+
+    const findOrCreateAuthor = (author, callback) => {
+      if (authors.has(author.key))
+        return callback(null, authors.get(author.key));
+
+      Author.findOne({
+        first_name: new RegExp(`^${escapeRegExp(author.first_name)}$`, 'i'),
+        family_name: new RegExp(`^${escapeRegExp(author.family_name)}$`, 'i'),
+      })
+        .session(session)
+        .exec((err, found_author) => {
+          if (err) return callback(err);
+
+          const save = found_author
+            ? (callback) => callback(null, found_author)
+            : (callback) =>
+                create(
+                  new Author({
+                    first_name: author.first_name,
+                    family_name: author.family_name,
+                  }),
+                  callback
+                );
+
+          save((err, saved_author) => {
+            if (err) return callback(err);
+
+            authors.set(author.key, saved_author);
+            callback(null, saved_author);
+          });
+        });
+    };
+
+    const findOrCreateGenre = (genre, callback) => {
+      if (genres.has(genre.key)) return callback(null, genres.get(genre.key));
+
+      Genre.findOne({
+        name: new RegExp(`^${escapeRegExp(genre.name)}$`, 'i'),
+      })
+        .session(session)
+        .exec((err, found_genre) => {
+          if (err) return callback(err);
+
+          const save = found_genre
+            ? (callback) => callback(null, found_genre)
+            : (callback) => create(new Genre({ name: genre.name }), callback);
+
+          save((err, saved_genre) => {
+            if (err) return callback(err);
+
+            genres.set(genre.key, saved_genre);
+            callback(null, saved_genre);
+          });
+        });
+    };
+
+    // The edition of a book by a publisher, found or created
+    const findOrCreateEdition = (book, publisher, callback) => {
+      Edition.findOne({ book: book._id, publisher })
+        .session(session)
+        .exec((err, found_edition) => {
+          if (err) return callback(err);
+
+          if (found_edition) return callback(null, found_edition);
+
+          create(new Edition({ book: book._id, publisher }), callback);
+        });
+    };
+
+    const addCopies = (book, row, callback) => {
+      if (row.copies === 0) return callback();
+
+      findOrCreateEdition(book, row.imprint, (err, edition) => {
+        if (err) return callback(err);
+
+        async.timesSeries(
+          row.copies,
+          (n, callback) => {
+            const bookInstance = new BookInstance({
+              book: book._id,
+              edition: edition._id,
+              status: 'Available',
+            });
+
+            create(bookInstance, (err) => {
+              if (err) return callback(err);
+
+              Hold.assignCopy(bookInstance, { session }, callback);
+            });
+          },
+          callback
+        );
+      });
+    };
+
+    // A row's author is the book's first contributor. A matched book keeps
+    // its other contributors.
+    const contributorsFor = (author, book) => [
+      { author: author._id, role: 'Author' },
+      ...(book ? book.contributors.slice(1) : []).filter(
+        (contributor) =>
+          !(
+            contributor.author.equals(author._id) &&
+            contributor.role === 'Author'
+          )
+      ),
+    ];
+
+    const importRow = (row, callback) => {
+      if (row.action === 'Match') return addCopies(row.book, row, callback);
+
+      async.series(
+        {
+          author(callback) {
+            findOrCreateAuthor(row.author, callback);
+          },
+          genres(callback) {
+            async.mapSeries(row.genres, findOrCreateGenre, callback);
+          },
+        },
+        (err, results) => {
+          if (err) return callback(err);
+
+          const fields = {
+            title: row.title,
+            summary: row.summary,
+            isbn: row.isbn,
+            contributors: contributorsFor(
+              results.author,
+              row.action === 'Update' ? row.book : null
+            ),
+            genre: results.genres.map((genre) => genre._id),
+          };
+
+          if (row.action === 'Update') {
+            return Book.findByIdAndUpdate(
+              row.book._id,
+              fields,
+              { runValidators: true, session },
+              (err, before) => {
+                if (err) return callback(err);
+
+                Book.findById(row.book._id)
+                  .session(session)
+                  .exec((err, after) => {
+                    if (err) return callback(err);
+
+                    AuditEntry.record(
+                      actor,
+                      'Update',
+                      before,
+                      after,
+                      { session },
+                      (err) => {
+                        if (err) return callback(err);
+
+                        addCopies(row.book, row, callback);
+                      }
+                    );
+                  });
+              }
+            );
+          }
+
+          create(new Book(fields), (err, book) => {
+            if (err) return callback(err);
+
+            addCopies(book, row, callback);
+          });
+        }
+      );
+    };
+
+    async.eachSeries(
+      plan.rows.filter((row) => row.action !== 'Reject'),
+      importRow,
+      (err) => {
+        if (err) return callback(err);
+
+        callback(null, plan);
+      }
+    );
+  });
+};
+
+// Plan the import again against the catalog as it is now, then save the rows
+// that aren't rejected: the authors and genres that don't exist yet, the new
+// and updated books and the copies of every row. New copies fill waiting
+// holds. It all happens in one transaction, so a row that fails to save
+// leaves the catalog as it was. Every change is recorded in the audit log
+// under options.actor, or as made from the command line when there is none.
+exports.runImport = (records, options, callback) => {
+  transaction((session, callback) => {
+    importRecords(records, { ...options, session }, callback);
+  }, callback);
+};
@@ -0,0 +1,155 @@
+const { unescape } = require('validator');
+const marc = require('./marc');
+const { marc: marcConfig } = require('../config');
+
+// Text is stored escaped for HTML, MARC records hold it as it was entered
+const text = (value) => (value ? unescape(value) : '');
+
+// Remove the ISBD punctuation cataloguers end MARC subfields with. A full
+// stop after an initial, as in "Tolkien, J. R. R.", is kept.
+const trimPunctuation = (value) => {
+  const trimmed = value.replace(/[\s/:;,=]+$/, '');
+
+  return /\b\p{Lu}\.$/u.test(trimmed) ? trimmed : trimmed.replace(/\.+$/, '');
+};
+
+// The values of one mapping entry in a record: one per matching field, made
+// of the wanted subfields joined by a space
+const mappedValues = (record, source) =>
+  marc
+    .fieldsWithTag(record, source.tag)
+    .map((field) =>
+      field.subfields
+        .filter((subfield) => source.subfields.includes(subfield.code))
+        .map((subfield) => trimPunctuation(subfield.value))
+        .filter(Boolean)
+        .join(' ')
+    )
+    .filter(Boolean);
+
+// The first value found for a book field, trying its sources in order
+const firstValue = (record, sources) => {
+  for (const source of sources) {
+    const [value] = mappedValues(record, source);
+
+    if (value) return value;
+  }
+
+  return '';
+};
+
+const dataField = (source, subfields) => ({
+  tag: source.tag,
+  ind1: source.ind1 || ' ',
+  ind2: source.ind2 || ' ',
+  subfields,
+});
+
+// MARC relator terms for the contributor roles, written to $e of the
+// added entries
+const RELATOR_TERMS = {
+  Author: 'author',
+  'Co-author': 'author',
+  Editor: 'editor',
+  Translator: 'translator',
+  Illustrator: 'illustrator',
+};
+
+// A name field for a contributor, with the author's years when the source
+// has a subfield for them
+const nameField = (source, contributor, relator) => {
+  const { author } = contributor;
+  const subfields = [
+    {
+      code: source.subfields[0],
+      value: `${text(author.family_name)}, ${text(author.first_name)}`,
+    },
+  ];
+  const years = [author.date_of_birth, author.date_of_death].map((date) =>
+    date ? date.getUTCFullYear() : ''
+  );
+
+  if (source.dates && (years[0] || years[1])) {
+    subfields.push({ code: source.dates, value: years.join('-') });
+  }
+
+  if (relator) {
+    subfields.push({ code: 'e', value: RELATOR_TERMS[contributor.role] });
+  }
+
+  return dataField(source, subfields);
+};
+
+// A MARC record for a book with its contributors and genres populated. Fields
+// are written to the first source of each book field in the mapping table.
+// A first contributor who is an author is the main entry, the other
+// contributors are added entries in the second author source, if there is
+// one.
+exports.bookToRecord = (book, mapping = marcConfig.mapping) => {
+  const contributors = book.contributors.filter(
+    (contributor) => contributor.author
+  );
+  const fields = [{ tag: '001', value: String(book._id) }];
+
+  fields.push(dataField(mapping.isbn[0], [{ code: 'a', value: book.isbn }]));
+
+  if (contributors.length && contributors[0].role === 'Author') {
+    fields.push(nameField(mapping.author[0], contributors.shift(), false));
+  }
+
+  if (mapping.author[1]) {
+    for (const contributor of contributors) {
+      fields.push(nameField(mapping.author[1], contributor, true));
+    }
+  }
+
+  fields.push(
+    dataField(mapping.title[0], [
+      { code: mapping.title[0].subfields[0], value: text(book.title) },
+    ])
+  );
+  fields.push(
+    dataField(mapping.summary[0], [
+      { code: mapping.summary[0].subfields[0], value: text(book.summary) },
+    ])
+  );
+
+  for (const genre of book.genre || []) {
+    fields.push(
+      dataField(mapping.genre[0], [
+        { code: mapping.genre[0].subfields[0], value: text(genre.name) },
+      ])
+    );
+  }
+
+  // Fields go in tag order
+  fields.sort((a, b) => a.tag.localeCompare(b.tag));
+
+  return marc.createRecord(fields);
+};
+
+// Read a MARC record into an import row with the columns of a CSV import
+// (see lib/catalogImport.js). Author dates are left out, since MARC only
+// gives their years.
+exports.recordToImport = (record, mapping = marcConfig.mapping) => {
+  const [family_name, ...first_names] = firstValue(record, mapping.author)
+    .split(',')
+    .map((name) => name.trim());
+  const genres = new Set();
+
+  for (const source of mapping.genre) {
+    for (const value of mappedValues(record, source)) genres.add(value);
+  }
+
+  return {
+    title: firstValue(record, mapping.title),
+    summary: firstValue(record, mapping.summary),
+    // 020 $a may be followed by a qualifier, e.g. "0261102214 (pbk.)"
+    isbn: firstValue(record, mapping.isbn).split(' ')[0],
+    author_first_name: first_names.join(', '),
+    author_family_name: family_name || '',
+    genres: [...genres].join(';'),
+    copies: '0',
+    imprint: '',
+  };
+};
@@ -0,0 +1,121 @@
+// Code 128 barcodes, drawn as SVG. Text of 4 or more digits is encoded with
+// code set C, two digits to a symbol, and anything else with code set B,
+// which covers printable ASCII.
+
+// Bar and space widths of each symbol value, in modules, starting with a
+// bar. The last one is the stop pattern.
+const PATTERNS = `
+  212222 222122 222221 121223 121322 131222 122213 122312 132212 221213
+  221312 231212 112232 122132 122231 113222 123122 123221 223211 221132
+  221231 213212 223112 312131 311222 321122 321221 312212 322112 322211
+  212123 212321 232121 111323 131123 131321 112313 132113 132311 211313
+  231113 231311 112133 112331 132131 113123 113321 133121 313121 211331
+  231131 213113 213311 213131 311123 311321 331121 312113 312311 332111
+  314111 221411 431111 111224 111422 121124 121421 141122 141221 112214
+  112412 122114 122411 142112 142211 241211 221114 413111 241112 134111
+  111242 121142 121241 114212 124112 124211 411212 421112 421211 212141
+  214121 412121 111143 111341 131141 114113 114311 411113 411311 113141
+  114131 311141 411131 211412 211214 211232 2331112
+`
+  .trim()
+  .split(/\s+/);
+
+const CODE_B = 100;
+const START_B = 104;
+const START_C = 105;
+const STOP = 106;
+
+// Modules of blank space needed either side of the bars
+const QUIET_ZONE = 10;
+
+// Whether text can be encoded: printable ASCII only
+const isEncodable = (text) =>
+  typeof text === 'string' && text.length > 0 && /^[\x20-\x7e]+$/.test(text);
+
+exports.isEncodable = isEncodable;
+
+// The symbol values for text, from the start symbol to the check symbol.
+// An odd number of digits ends with the last one in code set B.
+const symbolValues = (text) => {
+  const values = [];
+
+  if (/^\d{4,}$/.test(text)) {
+    values.push(START_C);
+
+    for (let i = 0; i + 1 < text.length; i += 2) {
+      values.push(Number(text.slice(i, i + 2)));
+    }
+
+    if (text.length % 2)
+      values.push(CODE_B, text.charCodeAt(text.length - 1) - 32);
+  } else {
+    values.push(START_B);
+
+    for (const char of text) values.push(char.charCodeAt(0) - 32);
+  }
+
+  // The check symbol is the sum of the values, each after the start one
+  // weighted by its position, modulo 103
+  const check = values.reduce(
+    (sum, value, i) => sum + value * Math.max(i, 1),
+    0
+  );
+
+  return [...values, check % 103];
+};
+
+// The widths of the bars and spaces for text, in modules, starting with a
+// bar and ending with the stop pattern's last bar
+exports.encode = (text) => {
+  if (!isEncodable(text)) {
+    throw new Error('Code 128 text must be printable ASCII characters.');
+  }
+
+  return [...symbolValues(text), STOP]
+    .map((value) => PATTERNS[value])
+    .join('')
+    .split('')
+    .map(Number);
+};
+
+const escapeXml = (text) =>
+  text.replace(
+    /[&<>"]/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char])
+  );
+
+// An SVG image of the barcode for text, with the text under the bars.
+// options.height is the height of the bars in modules, options.text false
+// leaves the text out. The image scales to any size, its viewBox is in
+// modules.
+exports.toSvg = (text, options = {}) => {
+  const height = options.height || 50;
+  const showText = options.text !== false;
+  const textHeight = showText ? 12 : 0;
+
+  let x = QUIET_ZONE;
+  const bars = [];
+
+  exports.encode(text).forEach((width, i) => {
+    // Even positions are bars, odd ones spaces
+    if (i % 2 === 0) bars.push(`M${x} 0h${width}v${height}h-${width}z`);
+    x += width;
+  });
+
+  const width = x + QUIET_ZONE;
+  const label = showText
+    ? `<text x="${width / 2}" y="${
+        height + textHeight - 1
+      }" text-anchor="middle" font-family="monospace" font-size="11">${escapeXml(
+        text
+      )}</text>`
+    : '';
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${
+      height + textHeight
+    }" role="img" aria-label="Barcode ${escapeXml(text)}">` +
+    `<rect width="${width}" height="${height + textHeight}" fill="#fff"/>` +
+    `<path d="${bars.join('')}" fill="#000"/>${label}</svg>`
+  );
+};
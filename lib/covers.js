@@ -0,0 +1,80 @@
+const async = require('async');
+const sharp = require('sharp');
+const { covers } = require('../config');
+const { createStorage } = require('../storage');
+
+// Image formats a cover can be uploaded in, by the name sharp gives them
+const FORMATS = { jpeg: 'JPEG', png: 'PNG', webp: 'WebP', gif: 'GIF' };
+
+exports.FORMATS = FORMATS;
+
+// Where covers and their thumbnails are kept
+const storage = createStorage();
+
+exports.storage = storage;
+
+// Check an uploaded file is an image in one of the formats, by reading it
+// rather than trusting its name or type. Returns a promise, rejected with a
+// message for the form when it isn't.
+exports.checkImage = (buffer) =>
+  sharp(buffer)
+    .metadata()
+    .catch(() => ({}))
+    .then((metadata) => {
+      if (!FORMATS[metadata.format]) {
+        const names = Object.values(FORMATS);
+
+        throw new Error(
+          `The cover must be a ${names.slice(0, -1).join(', ')} or ${
+            names[names.length - 1]
+          } image.`
+        );
+      }
+    });
+
+// Scale an uploaded image down to fit within width and height, turned the
+// right way up and as a JPEG without its metadata. Transparent parts become
+// white. Calls back with the buffer.
+const toJpeg = (buffer, width, height, callback) => {
+  sharp(buffer)
+    .rotate()
+    .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 85 })
+    .toBuffer(callback);
+};
+
+// Store an uploaded image as the cover of a book, with a thumbnail. Each
+// upload gets new keys, so browsers can cache covers for good. Calls back
+// with { image, thumbnail }, the keys to keep on the book.
+exports.saveCover = (book_id, buffer, callback) => {
+  const name = `${book_id}-${Date.now().toString(36)}`;
+  const cover = { image: `${name}.jpg`, thumbnail: `${name}-thumb.jpg` };
+
+  toJpeg(buffer, covers.maxWidth, covers.maxHeight, (err, image) => {
+    if (err) return callback(err);
+
+    toJpeg(image, covers.thumbnailWidth, null, (err, thumbnail) => {
+      if (err) return callback(err);
+
+      async.series(
+        [
+          (callback) => storage.save(cover.image, image, callback),
+          (callback) => storage.save(cover.thumbnail, thumbnail, callback),
+        ],
+        (err) => callback(err, cover)
+      );
+    });
+  });
+};
+
+// Remove the files of a cover from the storage, if there is one
+exports.removeCover = (cover, callback) => {
+  const keys = cover ? [cover.image, cover.thumbnail].filter(Boolean) : [];
+
+  async.eachSeries(
+    keys,
+    (key, callback) => storage.remove(key, callback),
+    callback
+  );
+};
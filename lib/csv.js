@@ -0,0 +1,80 @@
+// Parse CSV text (RFC 4180: comma separated, fields optionally quoted with
+// "" for a quote inside them) into an array of rows, each an array of fields.
+exports.parse = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  // Ignore the byte order mark spreadsheets like to add
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+
+    i++;
+  }
+
+  if (quoted) throw new Error('CSV ends inside a quoted field');
+
+  // The last line may not end with a newline
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+};
+
+// Parse CSV text whose first row names the columns into one object per row,
+// keyed by the lower case column names. Each object also gets its row number,
+// counting from 1 after the header, for error reports.
+exports.parseRecords = (text) => {
+  const [header = [], ...rows] = exports.parse(text);
+  const columns = header.map((name) => name.trim().toLowerCase());
+
+  return rows.map((fields, index) => {
+    const record = { row: index + 1 };
+
+    columns.forEach((column, i) => {
+      record[column] = (fields[i] || '').trim();
+    });
+
+    return record;
+  });
+};
+
+// Format one row of values as a line of CSV, quoting where needed.
+exports.formatRow = (values) =>
+  `${values
+    .map((value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',')}\r\n`;
@@ -0,0 +1,20 @@
+const querystring = require('querystring');
+
+const FORMAT_LABELS = {
+  csv: 'CSV',
+  json: 'JSON',
+  mrc: 'MARC21',
+  xml: 'MARCXML',
+};
+
+// Download links for a list page's collection, keeping its sort and filters
+// but not the page, since an export has all of them.
+module.exports = (req, collection, formats = ['csv', 'json']) => {
+  const { page, limit, ...query } = req.query;
+  const search = querystring.stringify(query);
+
+  return formats.map((format) => ({
+    format: FORMAT_LABELS[format],
+    url: `/catalog/export/${collection}.${format}${search ? `?${search}` : ''}`,
+  }));
+};
@@ -0,0 +1,58 @@
+// Characters that have to be escaped in HTML
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a search query into the words to highlight. Quotes and the minus
+// sign MongoDB uses for phrases and negation are dropped, as are negated words.
+exports.searchTerms = (query) =>
+  String(query || '')
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith('-'))
+    .map((word) => word.replace(/["]/g, ''))
+    .filter(Boolean);
+
+// Escape text for HTML and wrap words starting with any of the terms in
+// <mark>, so "run" also marks "running" like the text index matches it.
+// Text longer than maxLength is cut down to the part around the first match.
+exports.highlight = (text, terms, maxLength) => {
+  let value = String(text || '');
+
+  if (!terms.length) return escapeHtml(value);
+
+  const pattern = new RegExp(
+    `(${terms.map(escapeRegExp).join('|')})[\\w]*`,
+    'gi'
+  );
+
+  if (maxLength && value.length > maxLength) {
+    const match = value.search(pattern);
+    const start = Math.max(0, (match === -1 ? 0 : match) - maxLength / 4);
+    const end = start + maxLength;
+
+    value = `${start > 0 ? '…' : ''}${value.slice(start, end)}${
+      end < value.length ? '…' : ''
+    }`;
+  }
+
+  // Escape around the matches so the <mark> tags themselves stay intact
+  let result = '';
+  let last = 0;
+
+  for (const match of value.matchAll(pattern)) {
+    result += escapeHtml(value.slice(last, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+
+  return result + escapeHtml(value.slice(last));
+};
@@ -0,0 +1,63 @@
+// Strip the hyphens and spaces ISBNs are usually printed with
+const clean = (value) =>
+  String(value || '')
+    .replace(/[\s-]/g, '')
+    .toUpperCase();
+
+// ISBN-10 check digit: weights 10 down to 2, modulo 11, with X standing for 10
+const isbn10CheckDigit = (digits) => {
+  let sum = 0;
+
+  for (let i = 0; i < 9; i++) sum += (10 - i) * Number(digits[i]);
+
+  const check = (11 - (sum % 11)) % 11;
+
+  return check === 10 ? 'X' : String(check);
+};
+
+// ISBN-13 check digit: alternating weights 1 and 3, modulo 10
+const isbn13CheckDigit = (digits) => {
+  let sum = 0;
+
+  for (let i = 0; i < 12; i++) sum += (i % 2 === 0 ? 1 : 3) * Number(digits[i]);
+
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isValidIsbn10 = (isbn) =>
+  /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn) === isbn[9];
+
+const isValidIsbn13 = (isbn) =>
+  /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn) === isbn[12];
+
+// Whether value is an ISBN-10 or ISBN-13 with a correct check digit
+exports.isValid = (value) => {
+  const isbn = clean(value);
+
+  return isValidIsbn10(isbn) || isValidIsbn13(isbn);
+};
+
+// The ISBN-13 for a valid ISBN-10 or ISBN-13, without hyphens, or null when
+// value isn't a valid ISBN. Books store their ISBN in this form.
+exports.toIsbn13 = (value) => {
+  const isbn = clean(value);
+
+  if (isValidIsbn13(isbn)) return isbn;
+  if (!isValidIsbn10(isbn)) return null;
+
+  const digits = `978${isbn.slice(0, 9)}`;
+
+  return digits + isbn13CheckDigit(digits);
+};
+
+// The ISBN-10 for a valid ISBN, or null when there is none. Only ISBN-13s
+// starting with 978 have an ISBN-10.
+exports.toIsbn10 = (value) => {
+  const isbn = exports.toIsbn13(value);
+
+  if (isbn === null || !isbn.startsWith('978')) return null;
+
+  const digits = isbn.slice(3, 12);
+
+  return digits + isbn10CheckDigit(digits);
+};
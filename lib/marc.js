@@ -0,0 +1,308 @@
+// Reading and writing MARC21 records, as ISO 2709 binary and as MARCXML.
+// A record is { leader, fields }, where a control field (tags 001-009) is
+// { tag, value } and a data field is { tag, ind1, ind2, subfields }, with
+// subfields a list of { code, value }.
+
+const RECORD_TERMINATOR = 0x1d;
+const FIELD_TERMINATOR = 0x1e;
+const SUBFIELD_DELIMITER = 0x1f;
+
+const LEADER_LENGTH = 24;
+const DIRECTORY_ENTRY_LENGTH = 12;
+
+// Largest field and record the lengths in the directory and the leader have
+// room for, in bytes
+const MAX_FIELD_LENGTH = 9999;
+const MAX_RECORD_LENGTH = 99999;
+
+// Leader of a new record: a new (n) record for language material (a) that
+// is a monograph (m), with UTF-8 (a) character coding
+const DEFAULT_LEADER = '00000nam a2200000 i 4500';
+
+const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+const isControlTag = (tag) => tag < '010';
+
+exports.isControlTag = isControlTag;
+
+// A new record with the given fields
+exports.createRecord = (fields) => ({ leader: DEFAULT_LEADER, fields });
+
+// Every field of a record with the tag
+exports.fieldsWithTag = (record, tag) =>
+  record.fields.filter((field) => field.tag === tag);
+
+/// ISO 2709 ///
+
+const pad = (number, length) => String(number).padStart(length, '0');
+
+// The bytes of a field without its terminator, cut short to fit in
+// MAX_FIELD_LENGTH with it. The cut is made between characters, and a
+// subfield delimiter left without its code is dropped.
+const fitField = (content) => {
+  const buffer = Buffer.from(content, 'utf8');
+
+  if (buffer.length < MAX_FIELD_LENGTH) return buffer;
+
+  let end = MAX_FIELD_LENGTH - 1;
+
+  // Continuation bytes of a UTF-8 character look like 10xxxxxx
+  while ((buffer[end] & 0xc0) === 0x80) end -= 1;
+
+  if (buffer[end - 1] === SUBFIELD_DELIMITER) end -= 1;
+
+  return buffer.subarray(0, end);
+};
+
+// Encode a record as ISO 2709 (MARC21 binary), with lengths counted in bytes.
+// Fields too long for the directory are cut short. Throws when the record is
+// still too long for the leader.
+exports.toBinary = (record) => {
+  const data = record.fields.map((field) => {
+    const content = isControlTag(field.tag)
+      ? field.value
+      : `${field.ind1 || ' '}${field.ind2 || ' '}${field.subfields
+          .map((subfield) => `\x1f${subfield.code}${subfield.value}`)
+          .join('')}`;
+
+    return Buffer.concat([fitField(content), Buffer.from([FIELD_TERMINATOR])]);
+  });
+
+  let start = 0;
+  const directory = record.fields
+    .map((field, i) => {
+      const entry = `${field.tag}${pad(data[i].length, 4)}${pad(start, 5)}`;
+
+      start += data[i].length;
+      return entry;
+    })
+    .join('');
+
+  const baseAddress = LEADER_LENGTH + directory.length + 1;
+  const recordLength = baseAddress + start + 1;
+
+  if (recordLength > MAX_RECORD_LENGTH) {
+    throw new Error(
+      `MARC record is ${recordLength} bytes, more than the ${MAX_RECORD_LENGTH} ISO 2709 allows.`
+    );
+  }
+
+  const leader = `${pad(recordLength, 5)}${record.leader.slice(5, 12)}${pad(
+    baseAddress,
+    5
+  )}${record.leader.slice(17)}`;
+
+  return Buffer.concat([
+    Buffer.from(`${leader}${directory}\x1e`, 'utf8'),
+    ...data,
+    Buffer.from([RECORD_TERMINATOR]),
+  ]);
+};
+
+// Decode the records in an ISO 2709 file. Throws when a record is malformed.
+// Text is read as UTF-8, so records in the older MARC-8 encoding only come
+// through intact when they are plain ASCII.
+exports.parseBinary = (buffer) => {
+  const records = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    // Skip the line breaks some tools put between records
+    while (
+      offset < buffer.length &&
+      /\s/.test(String.fromCharCode(buffer[offset]))
+    ) {
+      offset++;
+    }
+
+    if (offset === buffer.length) break;
+
+    let end = buffer.indexOf(RECORD_TERMINATOR, offset);
+
+    if (end === -1) end = buffer.length;
+
+    const raw = buffer.subarray(offset, end);
+
+    offset = end + 1;
+
+    records.push(parseBinaryRecord(raw, records.length + 1));
+  }
+
+  return records;
+};
+
+const parseBinaryRecord = (raw, number) => {
+  const leader = raw.subarray(0, LEADER_LENGTH).toString('latin1');
+  const baseAddress = parseInt(leader.slice(12, 17), 10);
+
+  if (raw.length < LEADER_LENGTH || Number.isNaN(baseAddress)) {
+    throw new Error(`MARC record ${number} has an invalid leader`);
+  }
+
+  const directory = raw
+    .subarray(LEADER_LENGTH, baseAddress - 1)
+    .toString('latin1');
+  const fields = [];
+
+  for (let i = 0; i + DIRECTORY_ENTRY_LENGTH <= directory.length; ) {
+    const tag = directory.slice(i, i + 3);
+    const length = parseInt(directory.slice(i + 3, i + 7), 10);
+    const start = parseInt(directory.slice(i + 7, i + 12), 10);
+
+    i += DIRECTORY_ENTRY_LENGTH;
+
+    if (Number.isNaN(length) || Number.isNaN(start)) {
+      throw new Error(`MARC record ${number} has an invalid directory`);
+    }
+
+    // Leave out the field terminator
+    let data = raw.subarray(baseAddress + start, baseAddress + start + length);
+
+    if (data[data.length - 1] === FIELD_TERMINATOR) {
+      data = data.subarray(0, -1);
+    }
+
+    if (isControlTag(tag)) {
+      fields.push({ tag, value: data.toString('utf8') });
+      continue;
+    }
+
+    const [indicators, ...subfields] = data
+      .toString('utf8')
+      .split(String.fromCharCode(SUBFIELD_DELIMITER));
+
+    fields.push({
+      tag,
+      ind1: indicators[0] || ' ',
+      ind2: indicators[1] || ' ',
+      subfields: subfields
+        .filter(Boolean)
+        .map((subfield) => ({ code: subfield[0], value: subfield.slice(1) })),
+    });
+  }
+
+  return { leader, fields };
+};
+
+/// MARCXML ///
+
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
+
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => XML_ESCAPES[char]);
+
+const unescapeXml = (text) =>
+  text.replace(/&(#x[\da-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(
+        name[1].toLowerCase() === 'x'
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10)
+      );
+    }
+
+    return Object.keys(XML_ESCAPES).find(
+      (char) => XML_ESCAPES[char] === `&${name.toLowerCase()};`
+    );
+  });
+
+// Start and end of a MARCXML collection, to write records in between
+exports.XML_COLLECTION_START = `<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="${MARCXML_NAMESPACE}">\n`;
+exports.XML_COLLECTION_END = '</collection>\n';
+
+// A record as a MARCXML <record> element
+exports.toXml = (record) => {
+  const fields = record.fields.map((field) => {
+    if (isControlTag(field.tag)) {
+      return `  <controlfield tag="${field.tag}">${escapeXml(
+        field.value
+      )}</controlfield>\n`;
+    }
+
+    const subfields = field.subfields
+      .map(
+        (subfield) =>
+          `    <subfield code="${escapeXml(subfield.code)}">${escapeXml(
+            subfield.value
+          )}</subfield>\n`
+      )
+      .join('');
+
+    return `  <datafield tag="${field.tag}" ind1="${escapeXml(
+      field.ind1 || ' '
+    )}" ind2="${escapeXml(field.ind2 || ' ')}">\n${subfields}  </datafield>\n`;
+  });
+
+  return `<record>\n  <leader>${escapeXml(
+    record.leader
+  )}</leader>\n${fields.join('')}</record>\n`;
+};
+
+// Read the value of an attribute from the attributes of an XML tag
+const attribute = (attributes, name) => {
+  const match = new RegExp(`\\b${name}\\s*=\\s*(["'])(.*?)\\1`).exec(
+    attributes
+  );
+
+  return match ? unescapeXml(match[2]) : '';
+};
+
+// Elements may be written with a namespace prefix, e.g. <marc:record>
+const element = (name, flags) =>
+  new RegExp(
+    `<(?:[\\w-]+:)?${name}\\b([^>]*)>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`,
+    flags
+  );
+
+// Read the records of a MARCXML document, a <collection> or a single <record>.
+// This only understands MARCXML, not XML in general.
+exports.parseXml = (text) => {
+  const records = [];
+
+  for (const [, , content] of text.matchAll(element('record', 'g'))) {
+    const leader = element('leader').exec(content);
+    const fields = [];
+
+    // Control and data fields in the order they appear
+    const fieldPattern =
+      /<(?:[\w-]+:)?(controlfield|datafield)\b([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?\1>/g;
+
+    for (const [, type, attributes, body] of content.matchAll(fieldPattern)) {
+      const tag = attribute(attributes, 'tag');
+
+      if (type === 'controlfield') {
+        fields.push({ tag, value: unescapeXml(body) });
+        continue;
+      }
+
+      fields.push({
+        tag,
+        ind1: attribute(attributes, 'ind1') || ' ',
+        ind2: attribute(attributes, 'ind2') || ' ',
+        subfields: [...body.matchAll(element('subfield', 'g'))].map(
+          ([, subfieldAttributes, value]) => ({
+            code: attribute(subfieldAttributes, 'code'),
+            value: unescapeXml(value),
+          })
+        ),
+      });
+    }
+
+    records.push({
+      leader: leader ? unescapeXml(leader[2]) : DEFAULT_LEADER,
+      fields,
+    });
+  }
+
+  if (records.length === 0 && !/<(?:[\w-]+:)?collection\b/.test(text)) {
+    throw new Error('The file is not MARCXML');
+  }
+
+  return records;
+};
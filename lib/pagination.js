@@ -0,0 +1,85 @@
+const querystring = require('querystring');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Read page, limit, sort and dir from the query string of a list request.
+// sortFields maps the names allowed in ?sort= to the path they sort on and
+// a label for the view, e.g. { title: { path: 'title', label: 'Title' } }.
+// The first one is the default. Unknown values fall back to the defaults.
+exports.parseListQuery = (query, sortFields) => {
+  const fieldNames = Object.keys(sortFields);
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(
+    MAX_LIMIT,
+    Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT)
+  );
+  const sortField = fieldNames.includes(query.sort)
+    ? query.sort
+    : fieldNames[0];
+  const direction = query.dir === 'desc' ? 'desc' : 'asc';
+
+  return {
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    sortField,
+    direction,
+    // Sort on _id last so pages are stable when values repeat
+    sort: {
+      [sortFields[sortField].path]: direction === 'asc' ? 1 : -1,
+      _id: direction === 'asc' ? 1 : -1,
+    },
+  };
+};
+
+// Build what the pagination and sort_links views need to render links that
+// keep the rest of the query string.
+exports.buildPagination = (req, listQuery, total, sortFields) => {
+  const { page, limit, sortField, direction } = listQuery;
+  const pages = Math.max(1, Math.ceil(total / limit));
+
+  const urlFor = (changes) =>
+    `${req.baseUrl}${req.path}?${querystring.stringify({
+      ...req.query,
+      ...changes,
+    })}`;
+
+  return {
+    page,
+    pages,
+    total,
+    prev_url: page > 1 ? urlFor({ page: page - 1 }) : null,
+    next_url: page < pages ? urlFor({ page: page + 1 }) : null,
+    page_links: Array.from({ length: pages }, (_, i) => i + 1)
+      // Only show pages close to the current one
+      .filter((n) => n === 1 || n === pages || Math.abs(n - page) <= 2)
+      .map((n) => ({
+        number: n,
+        url: urlFor({ page: n }),
+        active: n === page,
+      })),
+    sort_links: Object.keys(sortFields).map((field) => {
+      const active = field === sortField;
+      // Clicking the active field flips the direction
+      const dir = active && direction === 'asc' ? 'desc' : 'asc';
+
+      return {
+        label: sortFields[field].label,
+        url: urlFor({ sort: field, dir, page: 1 }),
+        active,
+        direction: active ? direction : null,
+      };
+    }),
+  };
+};
+
+// Metadata for paginated API responses
+exports.paginationMeta = (listQuery, total) => ({
+  page: listQuery.page,
+  limit: listQuery.limit,
+  total,
+  pages: Math.max(1, Math.ceil(total / listQuery.limit)),
+  sort: listQuery.sortField,
+  dir: listQuery.direction,
+});
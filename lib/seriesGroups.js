@@ -0,0 +1,30 @@
+// Group books by their series, for lists that show each series together.
+// The series come in the order their first book does, with their books in
+// volume order, and the books in no series last, in the order given. Books
+// need their series populated. Returns a list of { series, books }, where
+// series is null for the books in no series.
+exports.groupBySeries = (books) => {
+  const groups = new Map();
+  const standalone = [];
+
+  for (const book of books) {
+    if (!book.series) {
+      standalone.push(book);
+      continue;
+    }
+
+    const key = String(book.series._id);
+
+    if (!groups.has(key)) groups.set(key, { series: book.series, books: [] });
+    groups.get(key).books.push(book);
+  }
+
+  for (const group of groups.values()) {
+    group.books.sort((a, b) => a.volume - b.volume);
+  }
+
+  return [
+    ...groups.values(),
+    ...(standalone.length ? [{ series: null, books: standalone }] : []),
+  ];
+};
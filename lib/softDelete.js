@@ -0,0 +1,238 @@
+const async = require('async');
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+const { trashRetentionDays } = require('../config');
+
+// Queries that leave out records in the trash, unless their filter mentions
+// deleted, as the trash's own queries do
+const QUERIES = [
+  'count',
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'findOneAndUpdate',
+  'updateMany',
+  'updateOne',
+];
+
+const IN_TRASH = { $ne: null };
+
+const model = (name) => mongoose.model(name);
+
+// The paths that refer to other records using the plugin, with the name of
+// the model they refer to
+const referencesOf = (Model) =>
+  Model.schema.softDeleteReferences.map((path) => {
+    const schemaType = Model.schema.path(path);
+
+    return { path, ref: (schemaType.caster || schemaType).options.ref };
+  });
+
+// The models using the plugin
+const trashModels = () =>
+  mongoose
+    .modelNames()
+    .map(model)
+    .filter((Model) => Model.schema.softDeleteReferences);
+
+const audit = (actor, action, before, after, options, callback) =>
+  model('AuditEntry').record(actor, action, before, after, options, callback);
+
+// Schema plugin that moves deleted records to a trash instead of removing
+// them. Records in the trash are hidden from queries and aggregations, and
+// can be restored, or purged for good. options.references lists the paths
+// that refer to other records using the plugin: restoring a record restores
+// the records it refers to, and a record can't be purged while another
+// record refers to it. options.openReferrers lists the records of models
+// without the plugin that keep a record from being purged while they are
+// open, as { model, path, filter }: the records of the model matching the
+// filter whose path refers to it. options.afterPurge(doc, callback), if given, runs once a
+// record is purged, to remove what it keeps outside the database.
+module.exports = (schema, options = {}) => {
+  schema.softDeleteReferences = options.references || [];
+
+  const openReferrers = options.openReferrers || [];
+
+  const afterPurge = options.afterPurge || ((doc, callback) => callback());
+
+  schema.add({
+    // When the record was moved to the trash, unset while it's in use
+    deleted: { type: Date, default: null },
+    deleted_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  });
+  schema.index({ deleted: 1 });
+
+  schema.pre(QUERIES, function () {
+    if (!('deleted' in this.getFilter())) this.where({ deleted: null });
+  });
+
+  schema.pre('aggregate', function () {
+    const pipeline = this.pipeline();
+    const [first] = pipeline;
+
+    if (first && first.$match && 'deleted' in first.$match) return;
+
+    // A $text search has to stay the first stage
+    const at = first && first.$match && first.$match.$text ? 1 : 0;
+
+    pipeline.splice(at, 0, { $match: { deleted: null } });
+  });
+
+  // Virtual for when the record was moved to the trash, formatted
+  schema.virtual('deleted_formatted').get(function () {
+    return this.deleted
+      ? DateTime.fromJSDate(this.deleted).toLocaleString(DateTime.DATETIME_MED)
+      : '';
+  });
+
+  // Virtual for the day the record is purged if it stays in the trash
+  schema.virtual('purge_date_formatted').get(function () {
+    return this.deleted
+      ? DateTime.fromJSDate(this.deleted)
+          .plus({ days: trashRetentionDays })
+          .toLocaleString(DateTime.DATE_MED)
+      : '';
+  });
+
+  // Records in the trash, matching the filter.
+  schema.statics.findTrashed = function (filter = {}) {
+    return this.find({ ...filter, deleted: IN_TRASH });
+  };
+
+  // Move a record to the trash and record it in the audit log as deleted.
+  // options.session makes it part of a transaction. Calls back with the
+  // record as it was, or null if there is none.
+  schema.statics.trash = function (id, actor, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    this.findByIdAndUpdate(
+      id,
+      { deleted: new Date(), deleted_by: actor ? actor._id : undefined },
+      { session: options.session },
+      (err, doc) => {
+        if (err || doc === null) return callback(err, null);
+
+        audit(actor, 'Delete', doc, null, options, (err) => callback(err, doc));
+      }
+    );
+  };
+
+  // Take a record out of the trash, with any records it refers to that are
+  // in the trash too. Calls back with the restored record, or null if it
+  // isn't in the trash.
+  schema.statics.restore = function (id, actor, callback) {
+    this.findOneAndUpdate(
+      { _id: id, deleted: IN_TRASH },
+      { $set: { deleted: null }, $unset: { deleted_by: 1 } },
+      { new: true },
+      (err, doc) => {
+        if (err || doc === null) return callback(err, null);
+
+        audit(actor, 'Restore', null, doc, {}, (err) => {
+          if (err) return callback(err);
+
+          async.eachSeries(
+            referencesOf(this),
+            (reference, callback) => {
+              async.eachSeries(
+                [].concat(doc.get(reference.path) || []),
+                (ref_id, callback) =>
+                  model(reference.ref).restore(ref_id, actor, callback),
+                callback
+              );
+            },
+            (err) => callback(err, doc)
+          );
+        });
+      }
+    );
+  };
+
+  // The records, in the trash or not, that refer to a record of this model,
+  // and the open records of openReferrers.
+  schema.statics.findReferrers = function (id, callback) {
+    const referrers = trashModels().flatMap((Model) =>
+      referencesOf(Model)
+        .filter((reference) => reference.ref === this.modelName)
+        .map((reference) => ({ Model, path: reference.path }))
+    );
+
+    async.concatSeries(
+      referrers,
+      ({ Model, path }, callback) => {
+        async.concat(
+          [{ [path]: id }, { [path]: id, deleted: IN_TRASH }],
+          (filter, callback) => Model.find(filter).exec(callback),
+          callback
+        );
+      },
+      (err, docs) => {
+        if (err) return callback(err);
+
+        async.concatSeries(
+          openReferrers,
+          (referrer, callback) =>
+            model(referrer.model)
+              .find({ ...referrer.filter, [referrer.path]: id })
+              .exec(callback),
+          (err, open_docs) =>
+            callback(err, err ? null : [...docs, ...open_docs])
+        );
+      }
+    );
+  };
+
+  // Remove a record in the trash for good. Nothing is removed while other
+  // records refer to it: calls back with (err, purged record, referrers),
+  // where the record is null if it wasn't purged.
+  schema.statics.purge = function (id, actor, callback) {
+    this.findOne({ _id: id, deleted: IN_TRASH }).exec((err, doc) => {
+      if (err || doc === null) return callback(err, null, []);
+
+      this.findReferrers(id, (err, referrers) => {
+        if (err) return callback(err);
+
+        if (referrers.length) return callback(null, null, referrers);
+
+        this.deleteOne({ _id: id, deleted: IN_TRASH }, (err) => {
+          if (err) return callback(err);
+
+          audit(actor, 'Purge', doc, null, {}, (err) => {
+            if (err) return callback(err);
+
+            afterPurge(doc, (err) => callback(err, doc, []));
+          });
+        });
+      });
+    });
+  };
+
+  // Purge the records that went into the trash before the date. Records
+  // something still refers to are left. Calls back with the number purged.
+  schema.statics.purgeTrashed = function (before, callback) {
+    this.find({ deleted: { $ne: null, $lt: before } }, '_id').exec(
+      (err, docs) => {
+        if (err) return callback(err);
+
+        let purged = 0;
+
+        async.eachSeries(
+          docs,
+          (doc, callback) => {
+            this.purge(doc._id, null, (err, purged_doc) => {
+              if (purged_doc) purged++;
+              callback(err);
+            });
+          },
+          (err) => callback(err, purged)
+        );
+      }
+    );
+  };
+};
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Run work(session, callback) in a MongoDB transaction: what it writes with
+// the session is committed together, or not at all if it calls back with an
+// error. The transaction may be retried on a transient error, so work must
+// only write through the session. Calls back with work's result.
+module.exports = (work, callback) => {
+  let result;
+
+  mongoose.connection
+    .transaction(
+      (session) =>
+        new Promise((resolve, reject) => {
+          work(session, (err, value) => {
+            if (err) return reject(err);
+
+            result = value;
+            resolve();
+          });
+        })
+    )
+    .then(
+      // Leave the promise chain, so errors thrown by callback aren't caught
+      () => process.nextTick(callback, null, result),
+      (err) => process.nextTick(callback, err)
+    );
+};
@@ -0,0 +1,18 @@
+const { mail } = require('../config');
+
+// Available transports. Each one is a factory that takes the mail settings
+// and returns an object with a name and a send(message, callback) method.
+const transports = {
+  smtp: require('./transports/smtp'),
+  file: require('./transports/file'),
+  memory: require('./transports/memory'),
+};
+
+// Create the transport named in the settings
+exports.createTransport = (options = mail) => {
+  const factory = transports[options.transport];
+
+  if (!factory) throw new Error(`Unknown mail transport: ${options.transport}`);
+
+  return factory(options);
+};
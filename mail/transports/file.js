@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes every message to a JSON file in a directory instead of sending it.
+// Useful in development to read notices without a mail server.
+module.exports = ({ directory }) => ({
+  name: 'file',
+  send(message, callback) {
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const file = path.join(directory, `${messageId}.json`);
+
+    fs.mkdir(directory, { recursive: true }, (err) => {
+      if (err) return callback(err);
+
+      fs.writeFile(file, JSON.stringify(message, null, 2), (err) => {
+        if (err) return callback(err);
+
+        callback(null, { messageId });
+      });
+    });
+  },
+});
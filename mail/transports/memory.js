@@ -0,0 +1,16 @@
+// Keeps every message in memory. Useful in tests, where sent messages can be
+// inspected through transport.sent.
+module.exports = () => {
+  const transport = {
+    name: 'memory',
+    sent: [],
+    send(message, callback) {
+      transport.sent.push(message);
+      process.nextTick(callback, null, {
+        messageId: `memory-${transport.sent.length}`,
+      });
+    },
+  };
+
+  return transport;
+};
@@ -0,0 +1,17 @@
+const nodemailer = require('nodemailer');
+
+// Delivers messages through an SMTP server.
+module.exports = ({ smtp }) => {
+  const transporter = nodemailer.createTransport(smtp);
+
+  return {
+    name: 'smtp',
+    send(message, callback) {
+      transporter.sendMail(message, (err, info) => {
+        if (err) return callback(err);
+
+        callback(null, { messageId: info.messageId });
+      });
+    },
+  };
+};
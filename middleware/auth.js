@@ -0,0 +1,60 @@
+const createError = require('http-errors');
+const User = require('../models/user');
+
+// Load the signed in user (if any) from the session and expose it to
+// controllers as req.user and to views as currentUser.
+exports.loadCurrentUser = (req, res, next) => {
+  req.user = null;
+  res.locals.currentUser = null;
+
+  // Let views check permissions, e.g. to hide links the user can't follow
+  res.locals.hasRole = (role) => Boolean(req.user && req.user.hasRole(role));
+
+  if (!req.session || !req.session.userId) return next();
+
+  User.findById(req.session.userId).exec((err, user) => {
+    if (err) return next(err);
+
+    // The account no longer exists, so forget about it
+    if (user === null) {
+      delete req.session.userId;
+      return next();
+    }
+
+    req.user = user;
+    res.locals.currentUser = user;
+    next();
+  });
+};
+
+// Only let signed in users through, everybody else goes to the login page.
+exports.requireLogin = (req, res, next) => {
+  if (req.user) return next();
+
+  res.redirect(`/users/login?next=${encodeURIComponent(req.originalUrl)}`);
+};
+
+// Only let users with at least the given role through. Anonymous visitors are
+// asked to log in, signed in users without the role get a 403.
+exports.requireRole = (role) => [
+  exports.requireLogin,
+  (req, res, next) => {
+    if (req.user.hasRole(role)) return next();
+
+    next(createError(403, 'You do not have permission to do that.'));
+  },
+];
+
+// Like requireRole, but for the JSON API: anonymous requests get a 401
+// instead of being redirected to the login page.
+exports.requireApiRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    return next(createError(401, 'You must be logged in to do that.'));
+  }
+
+  if (!req.user.hasRole(role)) {
+    return next(createError(403, 'You do not have permission to do that.'));
+  }
+
+  next();
+};
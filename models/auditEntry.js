@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+
+const Schema = mongoose.Schema;
+
+const ENTITY_TYPES = [
+  'Book',
+  'Author',
+  'Genre',
+  'Series',
+  'Edition',
+  'BookInstance',
+];
+const ACTIONS = ['Create', 'Update', 'Delete', 'Restore', 'Purge', 'Merge'];
+
+// A change made to the catalog: who made it, when, to which record, and the
+// value of each field that changed before and after it.
+const AuditEntrySchema = new Schema({
+  date: { type: Date, required: true, default: Date.now },
+  // Unset for changes made from the command line
+  actor: { type: Schema.Types.ObjectId, ref: 'User' },
+  // Kept with the entry, so it still reads right if the user changes
+  actor_name: { type: String, required: true },
+  action: { type: String, required: true, enum: ACTIONS },
+  entity_type: { type: String, required: true, enum: ENTITY_TYPES },
+  entity: { type: Schema.Types.ObjectId, required: true },
+  // Title or name of the record at the time of the change
+  entity_name: { type: String },
+  changes: [
+    {
+      _id: false,
+      field: { type: String, required: true },
+      from: { type: Schema.Types.Mixed },
+      to: { type: Schema.Types.Mixed },
+    },
+  ],
+});
+
+AuditEntrySchema.index({ date: -1 });
+AuditEntrySchema.index({ entity_type: 1, entity: 1, date: -1 });
+AuditEntrySchema.index({ actor: 1, date: -1 });
+
+// Virtual for the URL of the changed record
+AuditEntrySchema.virtual('entity_url').get(function () {
+  return `/catalog/${this.entity_type.toLowerCase()}/${this.entity}`;
+});
+
+// Virtual for whether the entry is for a record being removed, so its
+// changes only have the values it had
+AuditEntrySchema.virtual('is_removal').get(function () {
+  return ['Delete', 'Purge', 'Merge'].includes(this.action);
+});
+
+// Virtual for the formatted date
+AuditEntrySchema.virtual('date_formatted').get(function () {
+  return DateTime.fromJSDate(this.date).toLocaleString(DateTime.DATETIME_MED);
+});
+
+// A changed value as text: lists joined, unset values left blank
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Virtual for the changes with their values as text
+AuditEntrySchema.virtual('changes_formatted').get(function () {
+  return this.changes.map((change) => ({
+    field: change.field,
+    from: formatValue(change.from),
+    to: formatValue(change.to),
+  }));
+});
+
+// The fields of a document as plain JSON values, so ids, dates and arrays of
+// ids compare by value. References are kept as ids. Whether the document is
+// in the trash shows in the action, not as a change.
+const snapshot = (doc) => {
+  if (!doc) return {};
+
+  const { _id, __v, deleted, deleted_by, ...fields } = JSON.parse(
+    JSON.stringify(doc.toObject({ depopulate: true, virtuals: false }))
+  );
+
+  return fields;
+};
+
+// A readable name for a catalog document
+const nameOf = (doc) => {
+  if (doc.title) return doc.title;
+  if (doc.family_name) return `${doc.family_name}, ${doc.first_name}`;
+  if (doc.name) return doc.name;
+  // Copies go by their edition's imprint when it is populated, or their id
+  return doc.imprint || String(doc._id);
+};
+
+// Record a change to a catalog document. before is the document as it was
+// (null for a create or restore) and after as it is now (null for a delete
+// or purge). Updates that change nothing aren't recorded. options.session
+// records the change as part of a transaction.
+AuditEntrySchema.statics.record = function (
+  actor,
+  action,
+  before,
+  after,
+  options,
+  callback
+) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  const doc = after || before;
+
+  // Nothing to record if the document was already gone
+  if (!doc) return callback(null, null);
+
+  const from = snapshot(before);
+  const to = snapshot(after);
+  const changes = [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(
+      (field) => JSON.stringify(from[field]) !== JSON.stringify(to[field])
+    )
+    .map((field) => ({ field, from: from[field], to: to[field] }));
+
+  if (action === 'Update' && changes.length === 0) return callback(null, null);
+
+  new this({
+    actor: actor ? actor._id : undefined,
+    actor_name: actor ? actor.username : 'command line',
+    action,
+    entity_type: doc.constructor.modelName,
+    entity: doc._id,
+    entity_name: nameOf(doc),
+    changes,
+  }).save({ session: options.session }, callback);
+};
+
+module.exports = mongoose.model('AuditEntry', AuditEntrySchema);
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
+module.exports.ACTIONS = ACTIONS;
@@ -1,5 +1,6 @@
 const { DateTime } = require('luxon');
 const mongoose = require('mongoose');
+const softDelete = require('../lib/softDelete');
 
 const Schema = mongoose.Schema;
 
@@ -8,8 +9,25 @@ const AuthorSchema = new Schema({
   family_name: { type: String, required: true, maxLength: 100 },
   date_of_birth: { type: Date },
   date_of_death: { type: Date },
+  // Authors merged into this one, whose URLs redirect here
+  merged_ids: [{ type: Schema.Types.ObjectId }],
 });
 
+// Deleted authors go to the trash
+AuthorSchema.plugin(softDelete);
+
+// Indexes for the fields the author list sorts by, with _id as the tie-breaker
+AuthorSchema.index({ family_name: 1, _id: 1 });
+AuthorSchema.index({ first_name: 1, _id: 1 });
+AuthorSchema.index({ date_of_birth: 1, _id: 1 });
+AuthorSchema.index({ merged_ids: 1 });
+
+// Text index for catalog search
+AuthorSchema.index(
+  { family_name: 'text', first_name: 'text' },
+  { name: 'author_text', weights: { family_name: 2, first_name: 1 } }
+);
+
 // Virtual for author's full name
 AuthorSchema.virtual('name').get(function () {
   // To avoid errors in cases where an author does not have either a family name or
@@ -1,15 +1,236 @@
+const async = require('async');
 const mongoose = require('mongoose');
+const isbn = require('../lib/isbn');
+const softDelete = require('../lib/softDelete');
+const covers = require('../lib/covers');
 
 const Schema = mongoose.Schema;
 
+// The parts people can have in a book
+const CONTRIBUTOR_ROLES = [
+  'Author',
+  'Co-author',
+  'Editor',
+  'Translator',
+  'Illustrator',
+];
+
 const BookSchema = new Schema({
   title: { type: String, required: true },
-  author: { type: Schema.Types.ObjectId, ref: 'Author', required: true },
+  // The people who made the book, in the order they are credited
+  contributors: {
+    type: [
+      {
+        _id: false,
+        author: { type: Schema.Types.ObjectId, ref: 'Author', required: true },
+        role: {
+          type: String,
+          required: true,
+          enum: CONTRIBUTOR_ROLES,
+          default: 'Author',
+        },
+      },
+    ],
+    validate: {
+      validator: (contributors) => contributors.length > 0,
+      message: 'A book needs at least one contributor',
+    },
+  },
   summary: { type: String, required: true },
-  isbn: { type: String, required: true },
+  isbn: {
+    type: String,
+    required: true,
+    // Store ISBN-10s and hyphenated ISBNs as a plain ISBN-13
+    set: (value) => isbn.toIsbn13(value) || value,
+    validate: {
+      validator: isbn.isValid,
+      message: (props) => `${props.value} is not a valid ISBN`,
+    },
+  },
   genre: [{ type: Schema.Types.ObjectId, ref: 'Genre' }],
+  // The series the book is a volume of, if any, and its number in it. Volume
+  // numbers needn't be whole, for a novella set between two volumes.
+  series: { type: Schema.Types.ObjectId, ref: 'Series', default: null },
+  volume: { type: Number, min: 0 },
+  // The cover image and its thumbnail, by their keys in the cover storage
+  cover: {
+    image: { type: String },
+    thumbnail: { type: String },
+  },
+});
+
+// Deleted books go to the trash, restoring one restores its contributors,
+// genres and series. The cover stays until the book is purged, which waits
+// for its open loans and active holds.
+BookSchema.plugin(softDelete, {
+  references: ['contributors.author', 'genre', 'series'],
+  openReferrers: [
+    { model: 'Loan', path: 'book', filter: { returned: null } },
+    {
+      model: 'Hold',
+      path: 'book',
+      filter: { status: { $in: ['Waiting', 'Ready'] } },
+    },
+  ],
+  afterPurge: (book, callback) => covers.removeCover(book.cover, callback),
+});
+
+// Indexes for the fields the book list sorts by, with _id as the tie-breaker
+BookSchema.index({ title: 1, _id: 1 });
+BookSchema.index({ isbn: 1, _id: 1 });
+
+// No two books may have the same ISBN, counting those in the trash. Books
+// saved before ISBNs were normalized need bin/migrate-isbns first.
+BookSchema.index(
+  { isbn: 1 },
+  { unique: true, partialFilterExpression: { isbn: { $type: 'string' } } }
+);
+
+// Index for finding the books of an author
+BookSchema.index({ 'contributors.author': 1 });
+
+// Index for the volumes of a series, in order
+BookSchema.index({ series: 1, volume: 1 });
+
+// Text index for catalog search, matches in the title count the most
+BookSchema.index(
+  { title: 'text', isbn: 'text', summary: 'text' },
+  { name: 'book_text', weights: { title: 10, isbn: 5, summary: 1 } }
+);
+
+// Virtual for the ISBN-10 form of the ISBN, if the book has one
+BookSchema.virtual('isbn10').get(function () {
+  return isbn.toIsbn10(this.isbn);
+});
+
+// Shown in place of a cover for books without one
+const COVER_PLACEHOLDER = '/images/cover-placeholder.svg';
+
+// Virtual for whether the book has a cover
+BookSchema.virtual('has_cover').get(function () {
+  return Boolean(this.cover && this.cover.image);
+});
+
+// Virtuals for the URLs of the cover and its thumbnail, or the placeholder
+BookSchema.virtual('cover_url').get(function () {
+  return this.has_cover
+    ? `/catalog/cover/${this.cover.image}`
+    : COVER_PLACEHOLDER;
+});
+
+BookSchema.virtual('thumbnail_url').get(function () {
+  return this.has_cover
+    ? `/catalog/cover/${this.cover.thumbnail}`
+    : COVER_PLACEHOLDER;
+});
+
+// Virtual for the contributors as one line, e.g. "Tolkien, J.R.R.; Smith,
+// Jane (Illustrator)". Needs the contributors' authors populated.
+BookSchema.virtual('byline').get(function () {
+  return this.contributors
+    .filter((contributor) => contributor.author && contributor.author.name)
+    .map((contributor) =>
+      contributor.role === 'Author'
+        ? contributor.author.name
+        : `${contributor.author.name} (${contributor.role})`
+    )
+    .join('; ');
 });
 
+// The contributors with their authors as ids, for changing them. Works
+// whether or not the authors are populated, even for one that wasn't found.
+BookSchema.methods.contributorRefs = function () {
+  const ids = this.populated('contributors.author');
+
+  return this.contributors.map((contributor, i) => ({
+    author: ids ? ids[i] : contributor.author,
+    role: contributor.role,
+  }));
+};
+
+// The contributors with another author in place of one, as refs. The other
+// author takes each of the roles, unless it already has it.
+BookSchema.methods.replaceContributor = function (author_id, other_id) {
+  const contributors = [];
+
+  for (const contributor of this.contributorRefs()) {
+    const author = contributor.author.equals(author_id)
+      ? other_id
+      : contributor.author;
+
+    if (
+      !contributors.some(
+        (other) =>
+          other.author.equals(author) && other.role === contributor.role
+      )
+    ) {
+      contributors.push({ author, role: contributor.role });
+    }
+  }
+
+  return contributors;
+};
+
+// The roles an author has in the book, none if it isn't a contributor
+BookSchema.methods.rolesOf = function (author_id) {
+  return this.contributorRefs()
+    .filter((contributor) => contributor.author.equals(author_id))
+    .map((contributor) => contributor.role);
+};
+
+// Find the volumes just before and after this book in its series. Calls back
+// with { previous, next }, each null when there is none.
+BookSchema.methods.findAdjacentVolumes = function (callback) {
+  const { series, volume } = this;
+
+  if (!series || volume === null || volume === undefined) {
+    return callback(null, { previous: null, next: null });
+  }
+
+  const adjacent = (volumes, direction) => (callback) => {
+    this.constructor
+      .findOne(
+        { series: series._id || series, volume: volumes },
+        'title volume'
+      )
+      .sort({ volume: direction, _id: direction })
+      .exec(callback);
+  };
+
+  async.parallel(
+    {
+      previous: adjacent({ $lt: volume }, -1),
+      next: adjacent({ $gt: volume }, 1),
+    },
+    callback
+  );
+};
+
+// Whether err is a save failing on the unique ISBN index: the ISBN is used by
+// a book in the trash, or by a book saved at the same time
+BookSchema.statics.isDuplicateIsbn = (err) =>
+  Boolean(err && err.code === 11000 && err.keyPattern && err.keyPattern.isbn);
+
+// Find a book by its ISBN-10 or ISBN-13, with or without hyphens, or by the
+// ISBN of one of its editions.
+BookSchema.statics.findByIsbn = function (value, callback) {
+  const isbn13 = isbn.toIsbn13(value);
+
+  if (isbn13 === null) return callback(null, null);
+
+  const Edition = mongoose.model('Edition');
+
+  this.findOne({ isbn: isbn13 }).exec((err, book) => {
+    if (err || book) return callback(err, book);
+
+    Edition.findOne({ isbn: isbn13 }, 'book').exec((err, edition) => {
+      if (err || edition === null) return callback(err, null);
+
+      this.findById(edition.book).exec(callback);
+    });
+  });
+};
+
 // Virtual for book's URL
 BookSchema.virtual('url').get(function () {
   // We don't use an arrow function as we'll need the this object
@@ -18,3 +239,4 @@ BookSchema.virtual('url').get(function () {
 
 // Export model
 module.exports = mongoose.model('Book', BookSchema);
+module.exports.CONTRIBUTOR_ROLES = CONTRIBUTOR_ROLES;
@@ -1,11 +1,15 @@
 const mongoose = require('mongoose');
 const { DateTime } = require('luxon');
+const softDelete = require('../lib/softDelete');
+const barcodes = require('../lib/barcodes');
+const Counter = require('./counter');
 
 const Schema = mongoose.Schema;
 
 const BookInstanceSchema = new Schema({
   book: { type: Schema.Types.ObjectId, ref: 'Book', required: true }, // reference to the associated book
-  imprint: { type: String, required: true },
+  // The edition the copy is of, which is of the same book
+  edition: { type: Schema.Types.ObjectId, ref: 'Edition', required: true },
   status: {
     type: String,
     required: true,
@@ -13,14 +17,75 @@ const BookInstanceSchema = new Schema({
     default: 'Maintenance',
   },
   due_back: { type: Date, default: Date.now },
+  // Printed on the copy's label for scanning. Given to a copy when it is
+  // first saved, and never changed.
+  barcode: { type: String, immutable: true },
+  // Where the copy is shelved, e.g. "FIC PRA"
+  call_number: { type: String, maxLength: 50 },
 });
 
+// Deleted copies go to the trash, restoring one restores its book and
+// edition. A copy isn't purged while it is on loan or set aside for a hold.
+BookInstanceSchema.plugin(softDelete, {
+  references: ['book', 'edition'],
+  openReferrers: [
+    { model: 'Loan', path: 'book_instance', filter: { returned: null } },
+    { model: 'Hold', path: 'book_instance', filter: { status: 'Ready' } },
+  ],
+});
+
+// Indexes for the fields the copy list sorts by, with _id as the tie-breaker
+BookInstanceSchema.index({ status: 1, _id: 1 });
+BookInstanceSchema.index({ due_back: 1, _id: 1 });
+
+// Index for the copies of an edition
+BookInstanceSchema.index({ edition: 1 });
+
+// Barcodes are unique. Copies saved before there were barcodes may have
+// none until they are given one.
+BookInstanceSchema.index(
+  { barcode: 1 },
+  { unique: true, partialFilterExpression: { barcode: { $type: 'string' } } }
+);
+
+// A copy without a barcode gets the next one in the sequence, as part of
+// the same transaction when there is one. That includes copies saved before
+// there were barcodes, so it is set past the barcode being immutable.
+BookInstanceSchema.pre('validate', function (next) {
+  if (this.barcode) return next();
+
+  Counter.next('barcode', { session: this.$session() }, (err, number) => {
+    if (err) return next(err);
+
+    this.$set('barcode', barcodes.fromNumber(number), undefined, {
+      overwriteImmutable: true,
+    });
+    next();
+  });
+});
+
+// Find a copy by its barcode, as scanned or typed in. Calls back with null
+// for anything that isn't a valid barcode.
+BookInstanceSchema.statics.findByBarcode = function (value, callback) {
+  const barcode = barcodes.normalize(value);
+
+  if (barcode === null) return callback(null, null);
+
+  this.findOne({ barcode }).exec(callback);
+};
+
 // Virtual for BookInstance's URL
 BookInstanceSchema.virtual('url').get(function () {
   // We don't use an arrow function as we'll need the this object
   return `/catalog/bookInstance/${this._id}`;
 });
 
+// Virtual for the imprint of the copy's edition, blank unless the edition
+// is populated
+BookInstanceSchema.virtual('imprint').get(function () {
+  return this.edition && this.edition.imprint ? this.edition.imprint : '';
+});
+
 // Virtual for BookInstance's formatted due back date
 BookInstanceSchema.virtual('due_back_formatted').get(function () {
   return DateTime.fromJSDate(this.due_back).toLocaleString(DateTime.DATE_MED);
@@ -28,3 +93,6 @@ BookInstanceSchema.virtual('due_back_formatted').get(function () {
 
 // Export model
 module.exports = mongoose.model('BookInstance', BookInstanceSchema);
+
+// Statuses staff may set by hand. The others are managed by loans.
+module.exports.SHELF_STATUSES = ['Available', 'Maintenance'];
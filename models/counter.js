@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// A named sequence of numbers, for identifiers that must be unique but
+// shorter than an ObjectId, such as copy barcodes
+const CounterSchema = new Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, required: true, default: 0 },
+});
+
+// Take the next number of a sequence, starting from 1. options.session
+// makes it part of a transaction.
+CounterSchema.statics.next = function (name, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  this.findByIdAndUpdate(
+    name,
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session: options.session },
+    (err, counter) => callback(err, counter && counter.seq)
+  );
+};
+
+// Export model
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const softDelete = require('../lib/softDelete');
+
+const Schema = mongoose.Schema;
+
+const FORMATS = [
+  'Hardcover',
+  'Paperback',
+  'Ebook',
+  'Audiobook',
+  'Large print',
+  'Other',
+];
+
+// One edition of a book, the work: a printing by a publisher, in a year,
+// format and language. Copies of the book belong to an edition.
+const EditionSchema = new Schema({
+  book: { type: Schema.Types.ObjectId, ref: 'Book', required: true },
+  publisher: { type: String, required: true, maxLength: 100 },
+  year: { type: Number, min: 0 },
+  // Stored as ISBN-13, unset for editions without one
+  isbn: { type: String },
+  language: { type: String, maxLength: 50 },
+  format: { type: String, required: true, enum: FORMATS, default: 'Paperback' },
+});
+
+// Deleted editions go to the trash, restoring one restores its book
+EditionSchema.plugin(softDelete, { references: ['book'] });
+
+// Index for the editions of a book, oldest first
+EditionSchema.index({ book: 1, year: 1 });
+
+// Index for finding an edition by its ISBN
+EditionSchema.index({ isbn: 1 });
+
+// Virtual for the edition's publisher and year
+EditionSchema.virtual('imprint').get(function () {
+  return [this.publisher, this.year]
+    .filter((value) => value || value === 0)
+    .join(', ');
+});
+
+// Virtual for a one line description of the edition, e.g.
+// "Gollancz, 1983 (Paperback, English)"
+EditionSchema.virtual('label').get(function () {
+  const details = [this.format, this.language].filter(Boolean).join(', ');
+
+  return details ? `${this.imprint} (${details})` : this.imprint;
+});
+
+// Virtual for the edition's URL
+EditionSchema.virtual('url').get(function () {
+  // We don't use an arrow function as we'll need the this object
+  return `/catalog/edition/${this._id}`;
+});
+
+// Export model
+module.exports = mongoose.model('Edition', EditionSchema);
+module.exports.FORMATS = FORMATS;
@@ -1,16 +1,100 @@
 const mongoose = require('mongoose');
+const softDelete = require('../lib/softDelete');
 
 const Schema = mongoose.Schema;
 
 const GenreSchema = new Schema({
   name: { type: String, required: true, minLength: 3, maxLength: 100 },
+  // The genre this one is a subgenre of, unset for a top level genre
+  parent: { type: Schema.Types.ObjectId, ref: 'Genre', default: null },
 });
 
+// Deleted genres go to the trash. Restoring a subgenre restores its parent.
+GenreSchema.plugin(softDelete, { references: ['parent'] });
+
+// Index for the field the genre list sorts by, with _id as the tie-breaker
+GenreSchema.index({ name: 1, _id: 1 });
+
+// Index for finding the subgenres of a genre
+GenreSchema.index({ parent: 1 });
+
+// Text index for catalog search
+GenreSchema.index({ name: 'text' }, { name: 'genre_text' });
+
 // Virtual for Genre's URL
 GenreSchema.virtual('url').get(function () {
   // We don't use an arrow function as we'll need the this object
   return `/catalog/genre/${this._id}`;
 });
 
+// Arrange genres into a tree. Returns them in tree order, each genre followed
+// by its subgenres, with its depth and its subgenres as children. Genres
+// whose parent isn't among them are at the top.
+const arrange = (genres) => {
+  const byId = new Map(genres.map((genre) => [String(genre._id), genre]));
+  const childrenOf = new Map();
+
+  for (const genre of genres) {
+    const key =
+      genre.parent && byId.has(String(genre.parent))
+        ? String(genre.parent)
+        : null;
+
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(genre);
+  }
+
+  const ordered = [];
+  const visit = (genre, depth) => {
+    genre.depth = depth;
+    genre.children = childrenOf.get(String(genre._id)) || [];
+    ordered.push(genre);
+
+    for (const child of genre.children) visit(child, depth + 1);
+  };
+
+  for (const genre of childrenOf.get(null) || []) visit(genre, 0);
+
+  return ordered;
+};
+
+// Find all genres in tree order, sorted by name at each level. Each genre
+// has its depth and its subgenres as children.
+GenreSchema.statics.findTree = function (callback) {
+  this.find()
+    .sort({ name: 1 })
+    .exec((err, genres) => callback(err, genres && arrange(genres)));
+};
+
+// Find the ids of a genre and of all the genres below it. options.session
+// reads them as part of a transaction.
+GenreSchema.statics.findDescendantIds = function (id, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  this.find({}, 'parent')
+    .session(options.session || null)
+    .exec((err, genres) => {
+      if (err) return callback(err);
+
+      const ids = [];
+      const visit = (genre_id) => {
+        // Stop at a genre already seen, in case a move made a loop
+        if (ids.some((seen_id) => seen_id.equals(genre_id))) return;
+
+        ids.push(genre_id);
+
+        for (const genre of genres) {
+          if (genre.parent && genre.parent.equals(genre_id)) visit(genre._id);
+        }
+      };
+
+      visit(new mongoose.Types.ObjectId(id));
+      callback(null, ids);
+    });
+};
+
 // Export model
 module.exports = mongoose.model('Genre', GenreSchema);
@@ -0,0 +1,124 @@
+const async = require('async');
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+const { holdPickupDays } = require('../config');
+
+const Schema = mongoose.Schema;
+
+const HoldSchema = new Schema({
+  book: { type: Schema.Types.ObjectId, ref: 'Book', required: true },
+  patron: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  placed: { type: Date, required: true, default: Date.now },
+  status: {
+    type: String,
+    required: true,
+    enum: ['Waiting', 'Ready', 'Fulfilled', 'Cancelled', 'Expired'],
+    default: 'Waiting',
+  },
+  book_instance: { type: Schema.Types.ObjectId, ref: 'BookInstance' }, // the copy set aside once the hold is Ready
+  pickup_by: { type: Date },
+});
+
+HoldSchema.index({ book: 1, status: 1, placed: 1 });
+HoldSchema.index({ patron: 1, status: 1 });
+
+// Virtual for Hold's URL
+HoldSchema.virtual('url').get(function () {
+  // We don't use an arrow function as we'll need the this object
+  return `/catalog/hold/${this._id}`;
+});
+
+// Virtual for whether the hold still counts against the queue
+HoldSchema.virtual('is_active').get(function () {
+  return this.status === 'Waiting' || this.status === 'Ready';
+});
+
+// Virtuals for formatted dates
+HoldSchema.virtual('placed_formatted').get(function () {
+  return DateTime.fromJSDate(this.placed).toLocaleString(DateTime.DATE_MED);
+});
+
+HoldSchema.virtual('pickup_by_formatted').get(function () {
+  return this.pickup_by
+    ? DateTime.fromJSDate(this.pickup_by).toLocaleString(DateTime.DATE_MED)
+    : '';
+});
+
+// Set a copy that has just come back aside for the first patron in the
+// book's queue, or return it to the shelf if nobody is waiting.
+// options.session makes it part of a transaction. Calls back with the hold
+// that is now Ready, or null.
+HoldSchema.statics.assignCopy = function (bookInstance, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  const BookInstance = mongoose.model('BookInstance');
+  const pickup_by = DateTime.now()
+    .plus({ days: holdPickupDays })
+    .endOf('day')
+    .toJSDate();
+
+  // Claim the oldest waiting hold in one step so two returns can't both take it
+  this.findOneAndUpdate(
+    { book: bookInstance.book, status: 'Waiting' },
+    { status: 'Ready', book_instance: bookInstance._id, pickup_by },
+    { sort: { placed: 1 }, new: true, session: options.session },
+    (err, hold) => {
+      if (err) return callback(err);
+
+      const update = hold
+        ? { status: 'Reserved', due_back: pickup_by }
+        : { status: 'Available', due_back: Date.now() };
+
+      BookInstance.findByIdAndUpdate(
+        bookInstance._id,
+        update,
+        { session: options.session },
+        (err) => {
+          if (err) return callback(err);
+
+          callback(null, hold);
+        }
+      );
+    }
+  );
+};
+
+// Expire Ready holds that were not picked up in time and pass each copy on
+// to the following patron in line.
+HoldSchema.statics.expireOverdue = function (callback) {
+  const BookInstance = mongoose.model('BookInstance');
+
+  this.find({ status: 'Ready', pickup_by: { $lt: new Date() } }).exec(
+    (err, holds) => {
+      if (err) return callback(err);
+
+      async.eachSeries(
+        holds,
+        (hold, done) => {
+          hold.status = 'Expired';
+          hold.save((err) => {
+            if (err) return done(err);
+
+            BookInstance.findById(hold.book_instance).exec(
+              (err, bookInstance) => {
+                if (err) return done(err);
+
+                // The copy is gone, so there is nothing to pass on
+                if (bookInstance === null) return done();
+
+                this.assignCopy(bookInstance, done);
+              }
+            );
+          });
+        },
+        (err) => callback(err, holds.length)
+      );
+    }
+  );
+};
+
+// Export model
+module.exports = mongoose.model('Hold', HoldSchema);
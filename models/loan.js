@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+const { fines } = require('../config');
+
+const Schema = mongoose.Schema;
+
+const LoanSchema = new Schema({
+  book_instance: {
+    type: Schema.Types.ObjectId,
+    ref: 'BookInstance',
+    required: true,
+  },
+  book: { type: Schema.Types.ObjectId, ref: 'Book', required: true }, // denormalized from the copy to list a book's loans
+  patron: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  checked_out: { type: Date, required: true, default: Date.now },
+  due_back: { type: Date, required: true },
+  returned: { type: Date, default: null },
+  checked_out_by: { type: Schema.Types.ObjectId, ref: 'User' },
+  checked_in_by: { type: Schema.Types.ObjectId, ref: 'User' },
+});
+
+LoanSchema.index({ book_instance: 1, returned: 1 });
+LoanSchema.index({ patron: 1, returned: 1 });
+LoanSchema.index({ book: 1 });
+
+// Virtual for whether the copy is still with the patron
+LoanSchema.virtual('is_open').get(function () {
+  return this.returned === null;
+});
+
+// Virtual for whether the copy should already have been returned
+LoanSchema.virtual('is_overdue').get(function () {
+  return this.is_open && this.due_back < new Date();
+});
+
+// Number of whole days the copy was (or still is) kept past due_back
+LoanSchema.methods.daysOverdue = function (asOf) {
+  const end = this.returned || asOf || new Date();
+  const days = DateTime.fromJSDate(end).diff(
+    DateTime.fromJSDate(this.due_back),
+    'days'
+  ).days;
+
+  return Math.max(0, Math.floor(days));
+};
+
+// Fine owed for this loan, in cents. Days within the grace period are free,
+// every day after that is charged at the daily rate, up to the maximum.
+LoanSchema.methods.calculateFine = function (asOf) {
+  const chargeableDays = this.daysOverdue(asOf) - fines.graceDays;
+
+  if (chargeableDays <= 0) return 0;
+
+  return Math.min(chargeableDays * fines.dailyRate, fines.maximum);
+};
+
+// Virtuals for formatted dates
+LoanSchema.virtual('checked_out_formatted').get(function () {
+  return DateTime.fromJSDate(this.checked_out).toLocaleString(
+    DateTime.DATE_MED
+  );
+});
+
+LoanSchema.virtual('due_back_formatted').get(function () {
+  return DateTime.fromJSDate(this.due_back).toLocaleString(DateTime.DATE_MED);
+});
+
+LoanSchema.virtual('returned_formatted').get(function () {
+  return this.returned
+    ? DateTime.fromJSDate(this.returned).toLocaleString(DateTime.DATE_MED)
+    : '';
+});
+
+// Export model
+module.exports = mongoose.model('Loan', LoanSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+
+const Schema = mongoose.Schema;
+
+// A message waiting in, or delivered from, the mail outbox
+const NoticeSchema = new Schema({
+  // Identifies what the notice is about, so the same notice is never queued twice
+  key: { type: String, required: true, unique: true },
+  type: {
+    type: String,
+    required: true,
+    enum: ['Overdue', 'DueSoon', 'HoldReady'],
+  },
+  patron: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+  html: { type: String, required: true },
+  status: {
+    type: String,
+    required: true,
+    enum: ['Pending', 'Sent', 'Failed'],
+    default: 'Pending',
+  },
+  attempts: { type: Number, required: true, default: 0 },
+  next_attempt: { type: Date, required: true, default: Date.now },
+  last_error: { type: String },
+  message_id: { type: String }, // reported by the transport on delivery
+  created: { type: Date, required: true, default: Date.now },
+  sent: { type: Date },
+});
+
+NoticeSchema.index({ status: 1, next_attempt: 1 });
+
+// Virtuals for formatted dates
+NoticeSchema.virtual('created_formatted').get(function () {
+  return DateTime.fromJSDate(this.created).toLocaleString(
+    DateTime.DATETIME_MED
+  );
+});
+
+NoticeSchema.virtual('sent_formatted').get(function () {
+  return this.sent
+    ? DateTime.fromJSDate(this.sent).toLocaleString(DateTime.DATETIME_MED)
+    : '';
+});
+
+// Export model
+module.exports = mongoose.model('Notice', NoticeSchema);
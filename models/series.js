@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const softDelete = require('../lib/softDelete');
+
+const Schema = mongoose.Schema;
+
+// A series of books, e.g. Discworld. Books belong to it with a volume number.
+const SeriesSchema = new Schema({
+  name: { type: String, required: true, maxLength: 100 },
+  description: { type: String },
+});
+
+// Deleted series go to the trash
+SeriesSchema.plugin(softDelete);
+
+// Index for the field the series list sorts by, with _id as the tie-breaker
+SeriesSchema.index({ name: 1, _id: 1 });
+
+// Text index for catalog search
+SeriesSchema.index({ name: 'text' }, { name: 'series_text' });
+
+// Virtual for the series' URL
+SeriesSchema.virtual('url').get(function () {
+  // We don't use an arrow function as we'll need the this object
+  return `/catalog/series/${this._id}`;
+});
+
+// Export model
+module.exports = mongoose.model('Series', SeriesSchema);
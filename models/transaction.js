@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+const { fines } = require('../config');
+
+const Schema = mongoose.Schema;
+
+const currencyFormat = new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: fines.currency,
+});
+
+// An entry on a patron's account. Fines are charged as positive amounts,
+// payments and waivers credit the account with negative amounts, so the
+// balance owed is the sum of all entries. Amounts are in cents.
+const TransactionSchema = new Schema({
+  patron: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  type: {
+    type: String,
+    required: true,
+    enum: ['Fine', 'Payment', 'Waiver'],
+  },
+  amount: { type: Number, required: true },
+  loan: { type: Schema.Types.ObjectId, ref: 'Loan' }, // the loan a fine is for
+  note: { type: String, maxLength: 500 },
+  date: { type: Date, required: true, default: Date.now },
+  recorded_by: { type: Schema.Types.ObjectId, ref: 'User' },
+});
+
+TransactionSchema.index({ patron: 1, date: -1 });
+
+// Virtual for the formatted amount
+TransactionSchema.virtual('amount_formatted').get(function () {
+  return currencyFormat.format(this.amount / 100);
+});
+
+// Virtual for the formatted date
+TransactionSchema.virtual('date_formatted').get(function () {
+  return DateTime.fromJSDate(this.date).toLocaleString(DateTime.DATE_MED);
+});
+
+// Format an amount in cents as money
+TransactionSchema.statics.formatAmount = function (amount) {
+  return currencyFormat.format(amount / 100);
+};
+
+// Calculate what a patron owes, in cents
+TransactionSchema.statics.balanceFor = function (patron, callback) {
+  this.aggregate([
+    { $match: { patron: new mongoose.Types.ObjectId(patron) } },
+    { $group: { _id: null, balance: { $sum: '$amount' } } },
+  ]).exec((err, results) => {
+    if (err) return callback(err);
+
+    callback(null, results.length ? results[0].balance : 0);
+  });
+};
+
+// Export model
+module.exports = mongoose.model('Transaction', TransactionSchema);
@@ -0,0 +1,86 @@
+const bcrypt = require('bcryptjs');
+const { DateTime } = require('luxon');
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const SALT_ROUNDS = 10;
+
+// Roles in increasing order of privilege. Each role can do everything the
+// roles before it can.
+const ROLES = ['patron', 'librarian', 'admin'];
+
+const UserSchema = new Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    minLength: 3,
+    maxLength: 50,
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxLength: 254,
+  },
+  first_name: { type: String, required: true, maxLength: 100 },
+  family_name: { type: String, required: true, maxLength: 100 },
+  password_hash: { type: String, required: true },
+  role: { type: String, required: true, enum: ROLES, default: 'patron' },
+  date_joined: { type: Date, default: Date.now },
+});
+
+// Virtual for user's full name
+UserSchema.virtual('name').get(function () {
+  if (this.first_name && this.family_name) {
+    return `${this.first_name} ${this.family_name}`;
+  }
+
+  return this.username;
+});
+
+// Virtual for user's URL
+UserSchema.virtual('url').get(function () {
+  // We don't use an arrow function as we'll need the this object
+  return `/users/${this._id}`;
+});
+
+// Virtual for user's formatted join date
+UserSchema.virtual('date_joined_formatted').get(function () {
+  return DateTime.fromJSDate(this.date_joined).toLocaleString(
+    DateTime.DATE_MED
+  );
+});
+
+// Check whether the user has at least the privileges of the given role
+UserSchema.methods.hasRole = function (role) {
+  const required = ROLES.indexOf(role);
+
+  if (required === -1) throw new Error(`Unknown role: ${role}`);
+
+  return ROLES.indexOf(this.role) >= required;
+};
+
+// Hash a plain text password and store it on the user
+UserSchema.methods.setPassword = function (password, callback) {
+  bcrypt.hash(password, SALT_ROUNDS, (err, hash) => {
+    if (err) return callback(err);
+
+    this.password_hash = hash;
+    callback(null);
+  });
+};
+
+// Compare a plain text password against the stored hash
+UserSchema.methods.validatePassword = function (password, callback) {
+  bcrypt.compare(password, this.password_hash, callback);
+};
+
+// Export model
+module.exports = mongoose.model('User', UserSchema);
+module.exports.ROLES = ROLES;
@@ -16,6 +16,7 @@ var async = require('async');
 var Book = require('./models/book');
 var Author = require('./models/author');
 var Genre = require('./models/genre');
+var Edition = require('./models/edition');
 var BookInstance = require('./models/bookInstance');
 
 var mongoose = require('mongoose');
@@ -28,6 +29,7 @@ db.on('error', console.error.bind(console, 'MongoDB connection error:'));
 var authors = [];
 var genres = [];
 var books = [];
+var editions = [];
 var bookinstances = [];
 
 function authorCreate(first_name, family_name, d_birth, d_death, cb) {
@@ -66,7 +68,7 @@ function bookCreate(title, summary, isbn, author, genre, cb) {
   bookdetail = {
     title: title,
     summary: summary,
-    author: author,
+    contributors: [{ author: author, role: 'Author' }],
     isbn: isbn,
   };
   if (genre != false) bookdetail.genre = genre;
@@ -83,10 +85,30 @@ function bookCreate(title, summary, isbn, author, genre, cb) {
   });
 }
 
-function bookInstanceCreate(book, imprint, due_back, status, cb) {
-  bookinstancedetail = {
+function editionCreate(book, publisher, year, format, cb) {
+  var edition = new Edition({
     book: book,
-    imprint: imprint,
+    publisher: publisher,
+    year: year,
+    language: 'English',
+    format: format,
+  });
+
+  edition.save(function (err) {
+    if (err) {
+      cb(err, null);
+      return;
+    }
+    console.log('New Edition: ' + edition);
+    editions.push(edition);
+    cb(null, edition);
+  });
+}
+
+function bookInstanceCreate(edition, due_back, status, cb) {
+  bookinstancedetail = {
+    book: edition.book,
+    edition: edition,
   };
   if (due_back != false) bookinstancedetail.due_back = due_back;
   if (status != false) bookinstancedetail.status = status;
@@ -100,7 +122,7 @@ function bookInstanceCreate(book, imprint, due_back, status, cb) {
     }
     console.log('New BookInstance: ' + bookinstance);
     bookinstances.push(bookinstance);
-    cb(null, book);
+    cb(null, edition.book);
   });
 }
 
@@ -194,7 +216,7 @@ function createBooks(cb) {
         bookCreate(
           'Test Book 1',
           'Summary of test book 1',
-          'ISBN111111',
+          '9780000000019',
           authors[4],
           [genres[0], genres[1]],
           callback
@@ -204,7 +226,7 @@ function createBooks(cb) {
         bookCreate(
           'Test Book 2',
           'Summary of test book 2',
-          'ISBN222222',
+          '9780000000026',
           authors[4],
           false,
           callback
@@ -216,95 +238,83 @@ function createBooks(cb) {
   );
 }
 
-function createBookInstances(cb) {
-  async.parallel(
+function createEditions(cb) {
+  async.series(
     [
       function (callback) {
-        bookInstanceCreate(
-          books[0],
-          'London Gollancz, 2014.',
-          false,
-          'Available',
-          callback
-        );
+        editionCreate(books[0], 'Gollancz', 2014, 'Paperback', callback);
       },
       function (callback) {
-        bookInstanceCreate(
-          books[1],
-          ' Gollancz, 2011.',
-          false,
-          'Loaned',
-          callback
-        );
+        editionCreate(books[1], 'Gollancz', 2011, 'Paperback', callback);
       },
       function (callback) {
-        bookInstanceCreate(
-          books[2],
-          ' Gollancz, 2015.',
-          false,
-          false,
-          callback
-        );
+        editionCreate(books[2], 'Gollancz', 2015, 'Hardcover', callback);
       },
       function (callback) {
-        bookInstanceCreate(
+        editionCreate(
           books[3],
-          'New York Tom Doherty Associates, 2016.',
-          false,
-          'Available',
+          'Tom Doherty Associates',
+          2016,
+          'Paperback',
           callback
         );
       },
       function (callback) {
-        bookInstanceCreate(
-          books[3],
-          'New York Tom Doherty Associates, 2016.',
-          false,
-          'Available',
+        editionCreate(
+          books[4],
+          'Tom Doherty Associates, LLC',
+          2015,
+          'Hardcover',
           callback
         );
       },
       function (callback) {
-        bookInstanceCreate(
-          books[3],
-          'New York Tom Doherty Associates, 2016.',
-          false,
-          'Available',
-          callback
-        );
+        editionCreate(books[0], 'Imprint XXX2', null, 'Other', callback);
       },
       function (callback) {
-        bookInstanceCreate(
-          books[4],
-          'New York, NY Tom Doherty Associates, LLC, 2015.',
-          false,
-          'Available',
-          callback
-        );
+        editionCreate(books[1], 'Imprint XXX3', null, 'Other', callback);
       },
+    ],
+    // optional callback
+    cb
+  );
+}
+
+function createBookInstances(cb) {
+  async.parallel(
+    [
       function (callback) {
-        bookInstanceCreate(
-          books[4],
-          'New York, NY Tom Doherty Associates, LLC, 2015.',
-          false,
-          'Maintenance',
-          callback
-        );
+        bookInstanceCreate(editions[0], false, 'Available', callback);
       },
       function (callback) {
-        bookInstanceCreate(
-          books[4],
-          'New York, NY Tom Doherty Associates, LLC, 2015.',
-          false,
-          'Loaned',
-          callback
-        );
+        bookInstanceCreate(editions[1], false, 'Loaned', callback);
+      },
+      function (callback) {
+        bookInstanceCreate(editions[2], false, false, callback);
+      },
+      function (callback) {
+        bookInstanceCreate(editions[3], false, 'Available', callback);
+      },
+      function (callback) {
+        bookInstanceCreate(editions[3], false, 'Available', callback);
+      },
+      function (callback) {
+        bookInstanceCreate(editions[3], false, 'Available', callback);
+      },
+      function (callback) {
+        bookInstanceCreate(editions[4], false, 'Available', callback);
+      },
+      function (callback) {
+        bookInstanceCreate(editions[4], false, 'Maintenance', callback);
+      },
+      function (callback) {
+        bookInstanceCreate(editions[4], false, 'Loaned', callback);
       },
       function (callback) {
-        bookInstanceCreate(books[0], 'Imprint XXX2', false, false, callback);
+        bookInstanceCreate(editions[5], false, false, callback);
       },
       function (callback) {
-        bookInstanceCreate(books[1], 'Imprint XXX3', false, false, callback);
+        bookInstanceCreate(editions[6], false, false, callback);
       },
     ],
     // Optional callback
@@ -313,7 +323,7 @@ function createBookInstances(cb) {
 }
 
 async.series(
-  [createGenreAuthors, createBooks, createBookInstances],
+  [createGenreAuthors, createBooks, createEditions, createBookInstances],
   // Optional callback
   function (err, results) {
     if (err) {
@@ -0,0 +1,92 @@
+const createError = require('http-errors');
+const express = require('express');
+const router = express.Router();
+
+// Require controller modules
+const book_controller = require('../controllers/api/bookController');
+const author_controller = require('../controllers/api/authorController');
+const genre_controller = require('../controllers/api/genreController');
+const book_instance_controller = require('../controllers/api/bookInstanceController');
+const { requireApiRole } = require('../middleware/auth');
+
+// Same permissions as the HTML catalog
+const canEdit = requireApiRole('librarian');
+const canDelete = requireApiRole('admin');
+
+/// BOOK ROUTES ///
+
+router.get('/books', book_controller.book_list);
+router.post('/books', canEdit, book_controller.book_create);
+router.get('/books/:id', book_controller.book_detail);
+router.put('/books/:id', canEdit, book_controller.book_update);
+router.delete('/books/:id', canDelete, book_controller.book_delete);
+
+/// AUTHOR ROUTES ///
+
+router.get('/authors', author_controller.author_list);
+router.post('/authors', canEdit, author_controller.author_create);
+router.get('/authors/:id', author_controller.author_detail);
+router.put('/authors/:id', canEdit, author_controller.author_update);
+router.delete('/authors/:id', canDelete, author_controller.author_delete);
+
+/// GENRE ROUTES ///
+
+router.get('/genres', genre_controller.genre_list);
+router.post('/genres', canEdit, genre_controller.genre_create);
+router.get('/genres/:id', genre_controller.genre_detail);
+router.put('/genres/:id', canEdit, genre_controller.genre_update);
+router.delete('/genres/:id', canDelete, genre_controller.genre_delete);
+
+/// BOOKINSTANCE ROUTES ///
+
+router.get('/bookinstances', book_instance_controller.bookinstance_list);
+router.post(
+  '/bookinstances',
+  canEdit,
+  book_instance_controller.bookinstance_create
+);
+router.get('/bookinstances/:id', book_instance_controller.bookinstance_detail);
+router.put(
+  '/bookinstances/:id',
+  canEdit,
+  book_instance_controller.bookinstance_update
+);
+router.delete(
+  '/bookinstances/:id',
+  canDelete,
+  book_instance_controller.bookinstance_delete
+);
+
+// Catch 404 and forward to error handler
+router.use((req, res, next) => {
+  next(createError(404, 'Not found'));
+});
+
+// Error handler. The API always answers in JSON.
+router.use((err, req, res, next) => {
+  let status = err.status || 500;
+  let message = err.message;
+  let details;
+
+  if (err.name === 'CastError') {
+    // Malformed ids and values
+    status = 400;
+    message = `Invalid ${err.path}: ${err.value}`;
+  } else if (err.name === 'ValidationError') {
+    // Rejected by the schema rather than the validators
+    status = 422;
+    message = 'Validation failed';
+    details = Object.values(err.errors).map((error) => ({
+      field: error.path,
+      message: error.message,
+      location: 'body',
+    }));
+  } else if (status === 500 && req.app.get('env') !== 'development') {
+    // Don't leak internals outside development
+    message = 'Internal server error';
+  }
+
+  res.status(status).json({ error: { status, message, details } });
+});
+
+module.exports = router;
@@ -5,7 +5,23 @@ const router = express.Router();
 const book_controller = require('../controllers/bookController');
 const author_controller = require('../controllers/authorController');
 const genre_controller = require('../controllers/genreController');
+const series_controller = require('../controllers/seriesController');
+const edition_controller = require('../controllers/editionController');
 const book_instance_controller = require('../controllers/bookInstanceController');
+const loan_controller = require('../controllers/loanController');
+const hold_controller = require('../controllers/holdController');
+const notice_controller = require('../controllers/noticeController');
+const search_controller = require('../controllers/searchController');
+const import_controller = require('../controllers/importController');
+const export_controller = require('../controllers/exportController');
+const audit_controller = require('../controllers/auditController');
+const trash_controller = require('../controllers/trashController');
+const { requireLogin, requireRole } = require('../middleware/auth');
+
+// Librarians maintain the catalog, only admins may delete from it
+const canEdit = requireRole('librarian');
+const canDelete = requireRole('admin');
+const canLend = requireRole('librarian');
 
 /// BOOK ROUTES ///
 
@@ -13,22 +29,34 @@ const book_instance_controller = require('../controllers/bookInstanceController'
 router.get('/', book_controller.index);
 
 // GET request for creating a Book. NOTE This must come before routes that display Book (uses id).
-router.get('/book/create', book_controller.book_create_get);
+router.get('/book/create', canEdit, book_controller.book_create_get);
 
 // POST request for creating Book.
-router.post('/book/create', book_controller.book_create_post);
+router.post('/book/create', canEdit, book_controller.book_create_post);
 
 // GET request to delete Book.
-router.get('/book/:id/delete', book_controller.book_delete_get);
+router.get('/book/:id/delete', canDelete, book_controller.book_delete_get);
 
 // POST request to delete Book.
-router.post('/book/:id/delete', book_controller.book_delete_post);
+router.post('/book/:id/delete', canDelete, book_controller.book_delete_post);
 
 // GET request to update Book.
-router.get('/book/:id/update', book_controller.book_update_get);
+router.get('/book/:id/update', canEdit, book_controller.book_update_get);
 
 // POST request to update Book.
-router.post('/book/:id/update', book_controller.book_update_post);
+router.post('/book/:id/update', canEdit, book_controller.book_update_post);
+
+// POST request to place a Hold on Book.
+router.post('/book/:id/hold', requireLogin, hold_controller.hold_create_post);
+
+// GET request for a Book by its ISBN-10 or ISBN-13.
+router.get('/book/isbn/:isbn', book_controller.book_by_isbn);
+
+// GET request for the MARC record of one Book, as .mrc or .xml.
+router.get('/book/:id/marc.:format', export_controller.book_marc_get);
+
+// GET request for the change history of one Book.
+router.get('/book/:id/history', canEdit, audit_controller.book_history);
 
 // GET request for one Book.
 router.get('/book/:id', book_controller.book_detail);
@@ -36,25 +64,53 @@ router.get('/book/:id', book_controller.book_detail);
 // GET request for list of all Book items.
 router.get('/books', book_controller.book_list);
 
+// GET request for a cover image or thumbnail, by its key in the cover storage.
+router.get('/cover/:key', book_controller.cover_get);
+
 /// AUTHOR ROUTES ///
 
 // GET request for creating Author. NOTE This must come before route for id (i.e. display author).
-router.get('/author/create', author_controller.author_create_get);
+router.get('/author/create', canEdit, author_controller.author_create_get);
 
 // POST request for creating Author.
-router.post('/author/create', author_controller.author_create_post);
+router.post('/author/create', canEdit, author_controller.author_create_post);
 
 // GET request to delete Author.
-router.get('/author/:id/delete', author_controller.author_delete_get);
+router.get(
+  '/author/:id/delete',
+  canDelete,
+  author_controller.author_delete_get
+);
 
 // POST request to delete Author.
-router.post('/author/:id/delete', author_controller.author_delete_post);
+router.post(
+  '/author/:id/delete',
+  canDelete,
+  author_controller.author_delete_post
+);
 
 // GET request to update Author.
-router.get('/author/:id/update', author_controller.author_update_get);
+router.get('/author/:id/update', canEdit, author_controller.author_update_get);
 
 // POST request to update Author.
-router.post('/author/:id/update', author_controller.author_update_post);
+router.post(
+  '/author/:id/update',
+  canEdit,
+  author_controller.author_update_post
+);
+
+// GET request for the change history of one Author.
+router.get('/author/:id/history', canEdit, audit_controller.author_history);
+
+// GET request to preview merging an Author into another.
+router.get('/author/:id/merge', canDelete, author_controller.author_merge_get);
+
+// POST request to merge an Author into another.
+router.post(
+  '/author/:id/merge',
+  canDelete,
+  author_controller.author_merge_post
+);
 
 // GET request for one Author.
 router.get('/author/:id', author_controller.author_detail);
@@ -62,25 +118,31 @@ router.get('/author/:id', author_controller.author_detail);
 // GET request for list of all Authors.
 router.get('/authors', author_controller.author_list);
 
+// GET request for the report of likely duplicate Authors.
+router.get('/authors/duplicates', canEdit, author_controller.author_duplicates);
+
 /// GENRE ROUTES ///
 
 // GET request for creating a Genre. NOTE This must come before route that displays Genre (uses id).
-router.get('/genre/create', genre_controller.genre_create_get);
+router.get('/genre/create', canEdit, genre_controller.genre_create_get);
 
 //POST request for creating Genre.
-router.post('/genre/create', genre_controller.genre_create_post);
+router.post('/genre/create', canEdit, genre_controller.genre_create_post);
 
 // GET request to delete Genre.
-router.get('/genre/:id/delete', genre_controller.genre_delete_get);
+router.get('/genre/:id/delete', canDelete, genre_controller.genre_delete_get);
 
 // POST request to delete Genre.
-router.post('/genre/:id/delete', genre_controller.genre_delete_post);
+router.post('/genre/:id/delete', canDelete, genre_controller.genre_delete_post);
 
 // GET request to update Genre.
-router.get('/genre/:id/update', genre_controller.genre_update_get);
+router.get('/genre/:id/update', canEdit, genre_controller.genre_update_get);
 
 // POST request to update Genre.
-router.post('/genre/:id/update', genre_controller.genre_update_post);
+router.post('/genre/:id/update', canEdit, genre_controller.genre_update_post);
+
+// GET request for the change history of one Genre.
+router.get('/genre/:id/history', canEdit, audit_controller.genre_history);
 
 // GET request for one Genre.
 router.get('/genre/:id', genre_controller.genre_detail);
@@ -88,48 +150,251 @@ router.get('/genre/:id', genre_controller.genre_detail);
 // GET request for list of all Genre.
 router.get('/genres', genre_controller.genre_list);
 
+/// SERIES ROUTES ///
+
+// GET request for creating a Series. NOTE This must come before route that displays Series (uses id).
+router.get('/series/create', canEdit, series_controller.series_create_get);
+
+// POST request for creating Series.
+router.post('/series/create', canEdit, series_controller.series_create_post);
+
+// GET request to delete Series.
+router.get(
+  '/series/:id/delete',
+  canDelete,
+  series_controller.series_delete_get
+);
+
+// POST request to delete Series.
+router.post(
+  '/series/:id/delete',
+  canDelete,
+  series_controller.series_delete_post
+);
+
+// GET request to update Series.
+router.get('/series/:id/update', canEdit, series_controller.series_update_get);
+
+// POST request to update Series.
+router.post(
+  '/series/:id/update',
+  canEdit,
+  series_controller.series_update_post
+);
+
+// GET request for the change history of one Series.
+router.get('/series/:id/history', canEdit, audit_controller.series_history);
+
+// GET request for one Series.
+router.get('/series/:id', series_controller.series_detail);
+
+// GET request for list of all Series.
+router.get('/series', series_controller.series_list);
+
+/// EDITION ROUTES ///
+
+// GET request for creating an Edition. NOTE This must come before route that displays Edition (uses id).
+router.get('/edition/create', canEdit, edition_controller.edition_create_get);
+
+// POST request for creating Edition.
+router.post('/edition/create', canEdit, edition_controller.edition_create_post);
+
+// GET request to delete Edition.
+router.get(
+  '/edition/:id/delete',
+  canDelete,
+  edition_controller.edition_delete_get
+);
+
+// POST request to delete Edition.
+router.post(
+  '/edition/:id/delete',
+  canDelete,
+  edition_controller.edition_delete_post
+);
+
+// GET request to update Edition.
+router.get(
+  '/edition/:id/update',
+  canEdit,
+  edition_controller.edition_update_get
+);
+
+// POST request to update Edition.
+router.post(
+  '/edition/:id/update',
+  canEdit,
+  edition_controller.edition_update_post
+);
+
+// GET request for the change history of one Edition.
+router.get('/edition/:id/history', canEdit, audit_controller.edition_history);
+
+// GET request for one Edition.
+router.get('/edition/:id', edition_controller.edition_detail);
+
 /// BOOKINSTANCE ROUTES ///
 
 // GET request for creating a BookInstance. NOTE This must come before route that displays BookInstance (uses id).
 router.get(
   '/bookinstance/create',
+  canEdit,
   book_instance_controller.bookinstance_create_get
 );
 
 // POST request for creating BookInstance.
 router.post(
   '/bookinstance/create',
+  canEdit,
   book_instance_controller.bookinstance_create_post
 );
 
 // GET request to delete BookInstance.
 router.get(
   '/bookinstance/:id/delete',
+  canDelete,
   book_instance_controller.bookinstance_delete_get
 );
 
 // POST request to delete BookInstance.
 router.post(
   '/bookinstance/:id/delete',
+  canDelete,
   book_instance_controller.bookinstance_delete_post
 );
 
 // GET request to update BookInstance.
 router.get(
   '/bookinstance/:id/update',
+  canEdit,
   book_instance_controller.bookinstance_update_get
 );
 
 // POST request to update BookInstance.
 router.post(
   '/bookinstance/:id/update',
+  canEdit,
   book_instance_controller.bookinstance_update_post
 );
 
+// GET request to check out BookInstance.
+router.get(
+  '/bookinstance/:id/checkout',
+  canLend,
+  loan_controller.loan_checkout_get
+);
+
+// POST request to check out BookInstance.
+router.post(
+  '/bookinstance/:id/checkout',
+  canLend,
+  loan_controller.loan_checkout_post
+);
+
+// POST request to check in BookInstance.
+router.post(
+  '/bookinstance/:id/checkin',
+  canLend,
+  loan_controller.loan_checkin_post
+);
+
+// GET request for the change history of one BookInstance.
+router.get(
+  '/bookinstance/:id/history',
+  canEdit,
+  audit_controller.bookinstance_history
+);
+
+// GET request for the barcode of one BookInstance, as an SVG image.
+router.get(
+  '/bookinstance/:id/barcode.svg',
+  book_instance_controller.bookinstance_barcode
+);
+
+// GET request for a BookInstance by its barcode.
+router.get(
+  '/bookinstance/barcode/:barcode',
+  book_instance_controller.bookinstance_by_barcode
+);
+
 // GET request for one BookInstance.
 router.get('/bookinstance/:id', book_instance_controller.bookinstance_detail);
 
+// GET request for a printable sheet of labels for a batch of BookInstances.
+router.get(
+  '/bookinstances/labels',
+  canEdit,
+  book_instance_controller.bookinstance_labels
+);
+
 // GET request for list of all BookInstance.
 router.get('/bookinstances', book_instance_controller.bookinstance_list);
 
+/// LOAN ROUTES ///
+
+// GET request for list of all open Loans.
+router.get('/loans', canLend, loan_controller.loan_list);
+
+/// HOLD ROUTES ///
+
+// POST request to cancel Hold.
+router.post('/hold/:id/cancel', requireLogin, hold_controller.hold_cancel_post);
+
+// GET request for list of all active Holds.
+router.get('/holds', canLend, hold_controller.hold_list);
+
+/// NOTICE ROUTES ///
+
+// GET request for list of recent Notices.
+router.get('/notices', canLend, notice_controller.notice_list);
+
+/// IMPORT ROUTES ///
+
+// GET request for the CSV import form.
+router.get('/import', canEdit, import_controller.import_get);
+
+// POST request to preview a CSV import.
+router.post('/import', canEdit, import_controller.import_post);
+
+// POST request to confirm the previewed CSV import.
+router.post('/import/commit', canEdit, import_controller.import_commit_post);
+
+/// EXPORT ROUTES ///
+
+// GET request to download a collection, e.g. /export/books.csv.
+router.get(
+  '/export/:collection.:format',
+  canEdit,
+  export_controller.export_get
+);
+
+/// AUDIT ROUTES ///
+
+// GET request for the audit log of catalog changes.
+router.get('/audit', canDelete, audit_controller.audit_list);
+
+/// TRASH ROUTES ///
+
+// GET request for the records in the trash.
+router.get('/trash', canDelete, trash_controller.trash_list);
+
+// POST request to restore a record from the trash.
+router.post(
+  '/trash/:type/:id/restore',
+  canDelete,
+  trash_controller.trash_restore_post
+);
+
+// POST request to purge a record from the trash.
+router.post(
+  '/trash/:type/:id/purge',
+  canDelete,
+  trash_controller.trash_purge_post
+);
+
+/// SEARCH ROUTES ///
+
+// GET request for catalog search results.
+router.get('/search', search_controller.search);
+
 module.exports = router;
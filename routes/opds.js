@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+
+// Require controller modules
+const opds_controller = require('../controllers/opdsController');
+
+/// OPDS ROUTES ///
+
+// GET root navigation feed.
+router.get('/', opds_controller.opds_root);
+
+// GET OpenSearch description for the search feed.
+router.get('/opensearch.xml', opds_controller.opds_opensearch);
+
+// GET acquisition feed of search results.
+router.get('/search', opds_controller.opds_search);
+
+// GET acquisition feed of all books.
+router.get('/books', opds_controller.opds_books);
+
+// GET navigation feed of genres.
+router.get('/genres', opds_controller.opds_genres);
+
+// GET acquisition feed of the books of a genre.
+router.get('/genres/:id', opds_controller.opds_genre);
+
+// GET navigation feed of authors.
+router.get('/authors', opds_controller.opds_authors);
+
+// GET acquisition feed of the books of an author.
+router.get('/authors/:id', opds_controller.opds_author);
+
+module.exports = router;
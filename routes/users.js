@@ -1,13 +1,55 @@
-var express = require('express');
-var router = express.Router();
+const express = require('express');
+const router = express.Router();
 
-/* GET users listing. */
-router.get('/', function (req, res, next) {
-  res.send('respond with a resource');
-});
+// Require controller modules
+const user_controller = require('../controllers/userController');
+const account_controller = require('../controllers/accountController');
+const { requireLogin, requireRole } = require('../middleware/auth');
 
-router.get('/:id', (req, res, next) => {
-  res.send(`Your ID is: ${req.params.id}`);
-});
+/// USER ROUTES ///
+
+// GET current user's account page.
+router.get('/', requireLogin, user_controller.user_index);
+
+// GET request for list of all Users.
+router.get('/all', requireRole('admin'), user_controller.user_list);
+
+// GET request for registering a User. NOTE This must come before route that displays User (uses id).
+router.get('/register', user_controller.user_register_get);
+
+// POST request for registering a User.
+router.post('/register', user_controller.user_register_post);
+
+// GET request for logging in.
+router.get('/login', user_controller.user_login_get);
+
+// POST request for logging in.
+router.post('/login', user_controller.user_login_post);
+
+// POST request for logging out.
+router.post('/logout', user_controller.user_logout_post);
+
+// POST request to change a User's role.
+router.post('/:id/role', requireRole('admin'), user_controller.user_role_post);
+
+// GET request for a User's account balance and transactions.
+router.get('/:id/account', requireLogin, account_controller.account_detail);
+
+// POST request to record a payment on a User's account.
+router.post(
+  '/:id/account/payment',
+  requireRole('librarian'),
+  account_controller.account_payment_post
+);
+
+// POST request to waive part of a User's balance.
+router.post(
+  '/:id/account/waiver',
+  requireRole('librarian'),
+  account_controller.account_waiver_post
+);
+
+// GET request for one User.
+router.get('/:id', requireLogin, user_controller.user_detail);
 
 module.exports = router;
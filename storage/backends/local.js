@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keeps files in a directory on the local disk.
+module.exports = ({ directory }) => {
+  const file = (key) => path.join(directory, path.basename(key));
+
+  return {
+    name: 'local',
+    save(key, data, callback) {
+      fs.mkdir(directory, { recursive: true }, (err) => {
+        if (err) return callback(err);
+
+        fs.writeFile(file(key), data, callback);
+      });
+    },
+    read(key, callback) {
+      fs.readFile(file(key), (err, data) => {
+        if (err && err.code === 'ENOENT') return callback(null, null);
+
+        callback(err, data);
+      });
+    },
+    remove(key, callback) {
+      fs.unlink(file(key), (err) => {
+        if (err && err.code !== 'ENOENT') return callback(err);
+
+        callback(null);
+      });
+    },
+  };
+};
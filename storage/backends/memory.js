@@ -0,0 +1,21 @@
+// Keeps files in memory. Useful in tests, where stored files can be
+// inspected through storage.files.
+module.exports = () => {
+  const storage = {
+    name: 'memory',
+    files: new Map(),
+    save(key, data, callback) {
+      storage.files.set(key, data);
+      process.nextTick(callback, null);
+    },
+    read(key, callback) {
+      process.nextTick(callback, null, storage.files.get(key) || null);
+    },
+    remove(key, callback) {
+      storage.files.delete(key);
+      process.nextTick(callback, null);
+    },
+  };
+
+  return storage;
+};
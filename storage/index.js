@@ -0,0 +1,25 @@
+const { covers } = require('../config');
+
+// Available backends. Each one is a factory that takes the storage settings
+// and returns an object with a name and these methods, where a key is a
+// file name made of letters, digits, '-', '_' and '.':
+// - save(key, data, callback) stores a buffer under a key
+// - read(key, callback) calls back with the buffer, or null if there is none
+// - remove(key, callback) removes a file, if it is there
+const backends = {
+  local: require('./backends/local'),
+  memory: require('./backends/memory'),
+};
+
+// Whether a key can name a file in any backend
+exports.isValidKey = (key) =>
+  typeof key === 'string' && /^[\w-][\w.-]*$/.test(key);
+
+// Create the backend named in the settings
+exports.createStorage = (options = covers) => {
+  const factory = backends[options.storage];
+
+  if (!factory) throw new Error(`Unknown storage backend: ${options.storage}`);
+
+  return factory(options);
+};